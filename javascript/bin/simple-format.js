@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { SimpleParser, SimpleParseError } = require('../simpleParser');
+const { SimpleSchema } = require('../simpleSchema');
+const { SimpleFileLoader } = require('../simpleLoader');
+const { SimpleFormatter, SimpleLinter } = require('../simpleFormat');
+const { diff, formatPatch } = require('../simpleDiff');
+const { generateTypeScript, generateJSONSchema } = require('../simpleTypes');
+const { convert } = require('../simpleConvert');
+
+const USAGE = `Usage: simple-format <command> [options] [files...]
+
+Commands:
+  to-json             Convert Simple to JSON
+  from-json           Convert JSON to Simple
+  fmt                 Format Simple files in place (stdin is written to stdout)
+  validate            Check syntax, and the schema if --schema is given
+  lint                Check syntax and lint rules
+  diff <a> <b>        Print the structural changes from a to b as a Simple patch
+  get <path>          Print the value at a path such as teacher.student_ids[2] or test[1-3]
+  types               Print a TypeScript declaration inferred from the files as samples
+  convert             Convert between Simple, JSON, YAML, TOML, INI and .env (requires --to)
+
+Options:
+  --array-format <f>  indexed (default) or values
+  --indent <n>        Indentation width, default 2
+  --strict            Parse with the strict grammar (indentation, brackets, strings, comments)
+  --holes <policy>    Undefined array indices: zero (default), null, sparse or throw
+  --interpolate       Resolve \${path} references and \${env:NAME} variables, and write \${ as $\${
+  --compact           from-json, get, convert: write Simple output on a single line
+  --check             fmt: only report files that are not formatted
+  --tabs              fmt: indent with tabs
+  --quotes <style>    fmt: double (default), single, minimal or preserve
+  --ranges <mode>     fmt: preserve (default), compress or expand
+  --disable <rule>    lint: turn a rule off, may be repeated
+  --max-depth <n>     lint: maximum nesting depth, default 8
+  --schema <file>     validate: Simple schema file
+  --name <name>       types: type name, default Config
+  --json-schema       types: print a JSON Schema instead
+  --from <format>     convert: input format, default from the file extension, otherwise simple
+  --to <format>       convert: output format (simple, json, yaml, toml, ini, env)
+  -h, --help          Show this help
+
+Without files, input is read from stdin.`;
+
+/**
+ * 运行命令行，返回退出码：0 成功，1 校验或检查未通过，2 用法错误
+ */
+function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        io.stderr.write(`simple-format: ${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    if (args.help || !args.command) {
+        (args.help ? io.stdout : io.stderr).write(`${USAGE}\n`);
+        return args.help ? 0 : 2;
+    }
+
+    const command = COMMANDS[args.command];
+    if (!command) {
+        io.stderr.write(`simple-format: unknown command "${args.command}"\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    try {
+        return command(args, io);
+    } catch (error) {
+        io.stderr.write(`${describeError(error, args.current)}\n`);
+        return 1;
+    }
+}
+
+const FORMATS = ['simple', 'json', 'yaml', 'toml', 'ini', 'env'];
+
+const EXTENSIONS = { '.json': 'json', '.yaml': 'yaml', '.yml': 'yaml', '.toml': 'toml', '.ini': 'ini', '.env': 'env' };
+
+function parseArgs(argv) {
+    const args = {
+        command: null,
+        files: [],
+        arrayFormat: 'indexed',
+        indent: 2,
+        check: false,
+        strict: false,
+        holes: 'zero',
+        interpolate: false,
+        compact: false,
+        schema: null,
+        tabs: false,
+        quotes: 'double',
+        ranges: 'preserve',
+        rules: {},
+        name: 'Config',
+        jsonSchema: false,
+        from: null,
+        to: null,
+        help: false
+    };
+    const choice = (i, name, choices) => {
+        const result = value(i, name);
+        if (!choices.includes(result)) {
+            throw new Error(`${name} must be ${choices.join(', ')}, got ${result}`);
+        }
+        return result;
+    };
+    const positive = (i, name) => {
+        const result = Number(value(i, name));
+        if (!Number.isInteger(result) || result < 1) {
+            throw new Error(`${name} must be a positive integer, got ${argv[i]}`);
+        }
+        return result;
+    };
+    const value = (i, name) => {
+        if (i >= argv.length) throw new Error(`${name} requires a value`);
+        return argv[i];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg === '--array-format') {
+            args.arrayFormat = choice(++i, arg, ['indexed', 'values']);
+        } else if (arg === '--indent') {
+            args.indent = positive(++i, arg);
+        } else if (arg === '--check') {
+            args.check = true;
+        } else if (arg === '--strict') {
+            args.strict = true;
+        } else if (arg === '--holes') {
+            args.holes = choice(++i, arg, ['zero', 'null', 'sparse', 'throw']);
+        } else if (arg === '--interpolate') {
+            args.interpolate = true;
+        } else if (arg === '--compact') {
+            args.compact = true;
+        } else if (arg === '--tabs') {
+            args.tabs = true;
+        } else if (arg === '--quotes') {
+            args.quotes = choice(++i, arg, ['double', 'single', 'minimal', 'preserve']);
+        } else if (arg === '--ranges') {
+            args.ranges = choice(++i, arg, ['preserve', 'compress', 'expand']);
+        } else if (arg === '--disable') {
+            args.rules[value(++i, arg)] = false;
+        } else if (arg === '--max-depth') {
+            args.rules['max-depth'] = positive(++i, arg);
+        } else if (arg === '--schema') {
+            args.schema = value(++i, arg);
+        } else if (arg === '--name') {
+            args.name = value(++i, arg);
+        } else if (arg === '--json-schema') {
+            args.jsonSchema = true;
+        } else if (arg === '--from') {
+            args.from = choice(++i, arg, FORMATS);
+        } else if (arg === '--to') {
+            args.to = choice(++i, arg, FORMATS);
+        } else if (arg.startsWith('--')) {
+            throw new Error(`unknown option ${arg}`);
+        } else if (!args.command) {
+            args.command = arg;
+        } else if (args.command === 'get' && args.path === undefined) {
+            args.path = arg;
+        } else {
+            args.files.push(arg);
+        }
+    }
+
+    if (args.command === 'get' && args.path === undefined) {
+        throw new Error('get requires a path');
+    }
+    if (args.command === 'diff' && args.files.length !== 2) {
+        throw new Error('diff requires exactly two files');
+    }
+    if (args.command === 'convert' && !args.to) {
+        throw new Error('convert requires --to');
+    }
+    return args;
+}
+
+/**
+ * 依次读取输入文件，没有文件时读取 stdin
+ */
+function* readInputs(args) {
+    if (args.files.length === 0) {
+        args.current = '<stdin>';
+        yield { file: null, name: '<stdin>', text: fs.readFileSync(0, 'utf8') };
+        return;
+    }
+    for (const file of args.files) {
+        args.current = file;
+        yield { file, name: file, text: fs.readFileSync(file, 'utf8') };
+    }
+}
+
+function parseOptions(args, input) {
+    return {
+        arrayFormat: args.arrayFormat,
+        filename: input.file ? path.resolve(input.file) : null,
+        loader: new SimpleFileLoader(),
+        interpolate: args.interpolate,
+        env: process.env,
+        strict: args.strict,
+        holes: args.holes
+    };
+}
+
+function stringifyOptions(args) {
+    return { indent: args.indent, arrayFormat: args.arrayFormat, compact: args.compact, interpolate: args.interpolate };
+}
+
+const COMMANDS = {
+    'to-json'(args, io) {
+        const parser = new SimpleParser();
+        for (const input of readInputs(args)) {
+            const value = parser.parse(input.text, parseOptions(args, input));
+            io.stdout.write(`${JSON.stringify(value, null, args.indent)}\n`);
+        }
+        return 0;
+    },
+
+    'from-json'(args, io) {
+        const parser = new SimpleParser();
+        for (const input of readInputs(args)) {
+            const value = JSON.parse(input.text);
+            io.stdout.write(`${parser.stringify(value, stringifyOptions(args))}\n`);
+        }
+        return 0;
+    },
+
+    fmt(args, io) {
+        const formatter = new SimpleFormatter({
+            indent: args.tabs ? 1 : args.indent,
+            indentChar: args.tabs ? '\t' : ' ',
+            quotes: args.quotes,
+            ranges: args.ranges,
+            arrayFormat: args.arrayFormat
+        });
+        let unformatted = 0;
+        for (const input of readInputs(args)) {
+            // 有语法错误的文件抛出错误，不会被改动
+            const { filename, loader } = parseOptions(args, input);
+            const formatted = formatter.format(input.text, { filename, loader });
+
+            if (args.check) {
+                if (formatted !== input.text) {
+                    io.stdout.write(`${input.name}\n`);
+                    unformatted++;
+                }
+            } else if (input.file) {
+                if (formatted !== input.text) {
+                    fs.writeFileSync(input.file, formatted);
+                }
+            } else {
+                io.stdout.write(formatted);
+            }
+        }
+        return unformatted > 0 ? 1 : 0;
+    },
+
+    validate(args, io) {
+        const parser = new SimpleParser();
+        const schema = args.schema ? SimpleSchema.parse(fs.readFileSync(args.schema, 'utf8')) : null;
+        let failed = 0;
+        for (const input of readInputs(args)) {
+            const { errors } = parser.parse(input.text, { ...parseOptions(args, input), schema, recover: true });
+            for (const error of errors) {
+                io.stderr.write(`${describeError(error, input.name)}\n`);
+            }
+            if (errors.length > 0) failed++;
+        }
+        return failed > 0 ? 1 : 0;
+    },
+
+    lint(args, io) {
+        const linter = new SimpleLinter({ arrayFormat: args.arrayFormat, rules: args.rules });
+        let failed = 0;
+        for (const input of readInputs(args)) {
+            const { filename, loader, holes } = parseOptions(args, input);
+            const problems = linter.lint(input.text, { filename, loader, holes });
+            for (const problem of problems) {
+                io.stderr.write(`${describeError(problem, input.name)}\n`);
+            }
+            if (problems.length > 0) failed++;
+        }
+        return failed > 0 ? 1 : 0;
+    },
+
+    diff(args, io) {
+        const parser = new SimpleParser();
+        const [a, b] = [...readInputs(args)].map(input => parser.parse(input.text, parseOptions(args, input)));
+        const patch = diff(a, b);
+        if (patch.length > 0) {
+            io.stdout.write(`${formatPatch(patch, { indent: args.indent, arrayFormat: args.arrayFormat })}\n`);
+        }
+        // 与 diff(1) 相同，有差异时退出码为 1
+        return patch.length > 0 ? 1 : 0;
+    },
+
+    get(args, io) {
+        const parser = new SimpleParser();
+        // 先检查路径语法
+        SimpleParser.parsePath(args.path);
+
+        for (const input of readInputs(args)) {
+            const root = parser.parse(input.text, parseOptions(args, input));
+            if (!SimpleParser.has(root, args.path)) {
+                throw new Error(`${args.path} not found`);
+            }
+            const value = SimpleParser.get(root, args.path);
+
+            // 字符串原样输出，其余值按 Simple 语法输出，多行数组只输出块内的条目
+            const text = typeof value === 'string' && !args.compact
+                ? value
+                : parser.stringify(value, stringifyOptions(args));
+            io.stdout.write(`${text.startsWith('[]\n') ? text.substring(3) : text}\n`);
+        }
+        return 0;
+    },
+
+    types(args, io) {
+        const parser = new SimpleParser();
+        const samples = [...readInputs(args)].map(input => parser.parse(input.text, parseOptions(args, input)));
+        if (args.jsonSchema) {
+            io.stdout.write(`${JSON.stringify(generateJSONSchema(samples, { name: args.name }), null, args.indent)}\n`);
+        } else {
+            io.stdout.write(generateTypeScript(samples, { name: args.name, indent: args.indent }));
+        }
+        return 0;
+    },
+
+    convert(args, io) {
+        for (const input of readInputs(args)) {
+            const { text, warnings } = convert(input.text, args.from || formatOf(input.file), args.to, {
+                parseOptions: parseOptions(args, input),
+                arrayFormat: args.arrayFormat,
+                indent: args.indent,
+                compact: args.compact
+            });
+            // 无法表示或被改写的数据只提示，不影响退出码
+            for (const { path: keyPath, message } of warnings) {
+                io.stderr.write(`${input.name}: warning: ${keyPath ? `${keyPath}: ` : ''}${message}\n`);
+            }
+            io.stdout.write(text);
+        }
+        return 0;
+    }
+};
+
+/**
+ * 按扩展名判断输入格式，.env 和 .env.local 等为 env
+ */
+function formatOf(file) {
+    if (!file) return 'simple';
+    const base = path.basename(file);
+    if (base === '.env' || base.startsWith('.env.')) return 'env';
+    return EXTENSIONS[path.extname(base).toLowerCase()] || 'simple';
+}
+
+/**
+ * 格式化为 file:line:column: message，被包含文件中的错误使用其自身的文件名
+ */
+function describeError(error, name) {
+    if (!(error instanceof SimpleParseError)) {
+        return `${name ? `${name}: ` : ''}${error.message}`;
+    }
+    const file = error.file ? path.relative(process.cwd(), error.file) || error.file : name;
+    const location = error.line === null ? file : `${file}:${error.line}:${error.column}`;
+    return `${location}: ${error.reason} [${error.code}]`;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
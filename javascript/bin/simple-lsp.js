@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+const { SimpleLanguageServer } = require('../simpleLanguageServer');
+
+// 编辑器通常以 simple-lsp --stdio 启动，消息始终经标准输入输出收发
+const server = new SimpleLanguageServer();
+server.on('exit', code => process.exit(code));
+server.listen(process.stdin, process.stdout);
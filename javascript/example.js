@@ -0,0 +1,66 @@
+const { SimpleParser } = require('./simpleParser');
+
+// ============ 使用示例 ============
+
+const parser = new SimpleParser();
+
+// 测试解析
+const simpleStr = `name: sam
+id: 21
+id_string: '21'
+teacher: {}
+    student_ids: [20, 21, 22, 31]
+/* 这样也可以，数列的子元素与\\t表示缩进
+\\tstudent_ids: []
+\\t\\t0: 20\\n\\t\\t1: 21  \\\\ 可以直接\\n表示换行，相当于json末尾的逗号
+\\t\\t2: 22
+\\t\\t3: 31
+*/
+// 通过缩进添加到数列时可以区间写数列
+test: []
+    1-3: 0
+    5-6: 1
+    -: 0 // - 来补足没有声明的0, 4`;
+
+console.log('解析结果:');
+const result = parser.parse(simpleStr);
+console.log(JSON.stringify(result, null, 2));
+
+// 测试序列化（使用区间表示）
+console.log('\n序列化结果 (使用区间表示):');
+const simpleOutput = parser.stringify(result, { indent: 2, arrayFormat: 'indexed' });
+console.log(simpleOutput);
+
+// 测试纯值数组格式解析
+const simpleValuesArray = `fruits: []
+    "apple"
+    "banana"
+    "cherry"
+numbers: []
+    1
+    2
+    3`;
+
+console.log('\n解析纯值数组格式:');
+const valuesResult = parser.parse(simpleValuesArray, { arrayFormat: 'values' });
+console.log(JSON.stringify(valuesResult, null, 2));
+
+// 测试序列化为纯值数组格式
+console.log('\n序列化为纯值数组格式:');
+const valuesOutput = parser.stringify(valuesResult, { indent: 2, arrayFormat: 'values' });
+console.log(valuesOutput);
+
+// 测试连续重复值的区间表示
+const arrayWithRepeats = {
+    name: "test",
+    data: [1, 1, 1, 2, 3, 3, 4, 4, 4, 4, 5]
+};
+
+console.log('\n测试连续重复值区间表示:');
+const repeatOutput = parser.stringify(arrayWithRepeats, { indent: 2, arrayFormat: 'indexed' });
+console.log(repeatOutput);
+
+// 测试循环解析和序列化
+console.log('\n循环测试 (解析 -> 序列化 -> 再解析):');
+const reParsed = parser.parse(simpleOutput);
+console.log(JSON.stringify(reParsed, null, 2));
@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { SimpleParser } = require('./simpleParser');
+const { SimpleFileLoader } = require('./simpleLoader');
+const { diff } = require('./simpleDiff');
+
+/**
+ * 从文件加载配置，支持缓存和热加载
+ *
+ * 解析结果按文件（及其 @include 的文件）的修改时间和大小缓存，文件未变时不再解析。
+ * 每次返回缓存的副本，调用方修改返回值不影响缓存。
+ * 异步加载时主文件异步读取，被包含的文件仍由加载器同步读取。
+ * 主文件总是从文件系统读取；被包含的文件只经过加载器，其版本由加载器的 signature 方法给出，
+ * 加载器没有该方法时这样的配置不缓存，见 simpleLoader.js
+ */
+class SimpleConfig {
+    constructor(options = {}) {
+        const defaultOptions = {
+            parser: null, // 注册了自定义标签的 SimpleParser
+            parseOptions: {}, // 解析选项，filename 由加载的路径决定
+            loader: null, // @include 使用的加载器，默认从文件系统读取
+            debounce: 100 // watch 中合并连续写入的等待时间（毫秒）
+        };
+        this.options = { ...defaultOptions, ...options };
+        this.parser = this.options.parser || new SimpleParser();
+        this.loader = this.options.loader || new SimpleFileLoader();
+        this._cache = new Map(); // 绝对路径 -> { value, signature, included: Map(文件 -> 版本标识) }
+    }
+
+    /**
+     * 异步加载配置文件
+     */
+    async load(file) {
+        file = path.resolve(file);
+        const cached = this._cache.get(file);
+        if (cached && await this._isFresh(cached, file)) {
+            return this.parser._cloneTree(cached.value);
+        }
+
+        // 先取状态再读取，读取期间发生的修改会在下次加载时重新解析
+        const stat = await fs.promises.stat(file);
+        const text = await fs.promises.readFile(file, 'utf8');
+        const { value, included } = this._parse(file, text);
+        return this._store(file, value, stat, included);
+    }
+
+    /**
+     * 同步加载配置文件
+     */
+    loadSync(file) {
+        file = path.resolve(file);
+        const cached = this._cache.get(file);
+        if (cached && this._isFreshSync(cached, file)) {
+            return this.parser._cloneTree(cached.value);
+        }
+
+        const stat = fs.statSync(file);
+        const text = fs.readFileSync(file, 'utf8');
+        const { value, included } = this._parse(file, text);
+        return this._store(file, value, stat, included);
+    }
+
+    /**
+     * 监视配置文件及其包含的文件，返回 SimpleConfigWatcher
+     * options.debounce 覆盖构造时的等待时间
+     */
+    watch(file, options = {}) {
+        return new SimpleConfigWatcher(this, path.resolve(file), { debounce: this.options.debounce, ...options });
+    }
+
+    /**
+     * 清除缓存，指定文件时只清除该文件
+     */
+    clear(file) {
+        if (file === undefined) {
+            this._cache.clear();
+        } else {
+            this._cache.delete(path.resolve(file));
+        }
+    }
+
+    /**
+     * 解析文件内容，返回值和被包含的文件
+     */
+    _parse(file, text) {
+        const value = this.parser.parse(text, { ...this.options.parseOptions, filename: file, loader: this.loader });
+        // 解析后 _sources 中记录了本次读取的所有文件
+        const included = Array.from(this.parser._sources.keys()).filter(name => name !== null && name !== file);
+        return { value, included };
+    }
+
+    _store(file, value, stat, included) {
+        const signatures = new Map(included.map(name => [name, this._includedSignature(name)]));
+        this._cache.set(file, { value, signature: SimpleConfig._signature(stat), included: signatures });
+        return this.parser._cloneTree(value);
+    }
+
+    /**
+     * 被包含文件的版本标识，加载器不提供时为 null，缓存视为失效
+     */
+    _includedSignature(name) {
+        return typeof this.loader.signature === 'function' ? this.loader.signature(name) : null;
+    }
+
+    async _isFresh(cached, file) {
+        try {
+            return SimpleConfig._signature(await fs.promises.stat(file)) === cached.signature && this._includedFresh(cached);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    _isFreshSync(cached, file) {
+        try {
+            return SimpleConfig._signature(fs.statSync(file)) === cached.signature && this._includedFresh(cached);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    _includedFresh(cached) {
+        for (const [name, expected] of cached.included) {
+            if (expected === null || this._includedSignature(name) !== expected) return false;
+        }
+        return true;
+    }
+
+    static _signature(stat) {
+        return `${stat.mtimeMs}:${stat.size}`;
+    }
+}
+
+/**
+ * 配置文件的监视器
+ *
+ * 事件：
+ *   ready   (value)         首次加载完成
+ *   change  (value, paths)  文件变化且内容改变，paths 为变化的路径（SimpleParser.parsePath 的语法，根为空字符串）
+ *   error   (error)         加载或解析失败，value 保持为最后一次成功加载的配置
+ *
+ * 监视的是文件所在的目录，编辑器以重命名方式保存文件、文件被删除后重建时仍能收到通知。
+ * 被包含的文件只在加载器为 SimpleFileLoader 时监视，其他加载器中的变化在主文件变化后重新加载时读到。
+ * 与 Node 的其他 EventEmitter 相同，没有 error 监听器时错误会被抛出
+ */
+class SimpleConfigWatcher extends EventEmitter {
+    constructor(config, file, options) {
+        super();
+        this.config = config;
+        this.file = file;
+        this.options = options;
+        this.value = null; // 最后一次成功加载的配置
+        this.closed = false;
+
+        this._watchers = new Map(); // 目录 -> fs.FSWatcher
+        this._files = new Set([file]);
+        this._timer = null;
+        this._loading = false;
+        this._pending = false;
+
+        // 推迟到下一轮，使调用方能先注册 error 监听器
+        process.nextTick(() => this._watch());
+        this._reload();
+    }
+
+    /**
+     * 停止监视
+     */
+    close() {
+        this.closed = true;
+        clearTimeout(this._timer);
+        for (const watcher of this._watchers.values()) {
+            watcher.close();
+        }
+        this._watchers.clear();
+    }
+
+    /**
+     * 按当前依赖的文件更新监视的目录
+     */
+    _watch() {
+        if (this.closed) return;
+        const dirs = new Set(Array.from(this._files, file => path.dirname(file)));
+        for (const [dir, watcher] of this._watchers) {
+            if (!dirs.has(dir)) {
+                watcher.close();
+                this._watchers.delete(dir);
+            }
+        }
+        for (const dir of dirs) {
+            if (this._watchers.has(dir)) continue;
+            try {
+                const watcher = fs.watch(dir, (event, name) => {
+                    if (!name || this._files.has(path.join(dir, name.toString()))) {
+                        this._schedule();
+                    }
+                });
+                watcher.on('error', error => this.emit('error', error));
+                this._watchers.set(dir, watcher);
+            } catch (error) {
+                this.emit('error', error);
+            }
+        }
+    }
+
+    /**
+     * 连续的写入在 debounce 时间内只触发一次重新加载
+     */
+    _schedule() {
+        if (this.closed) return;
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => this._reload(), this.options.debounce);
+    }
+
+    async _reload() {
+        if (this._loading) {
+            // 加载期间的变化在本次加载完成后再处理
+            this._pending = true;
+            return;
+        }
+        this._loading = true;
+        try {
+            const value = await this.config.load(this.file);
+            const cached = this.config._cache.get(this.file);
+            if (this.closed) return;
+
+            const included = this.config.loader instanceof SimpleFileLoader ? Array.from(cached.included.keys()) : [];
+            this._files = new Set([this.file, ...included]);
+            this._watch();
+
+            const previous = this.value;
+            this.value = value;
+            if (previous === null) {
+                this.emit('ready', value);
+            } else {
+                const paths = Array.from(new Set(diff(previous, value).map(op => op.path)));
+                if (paths.length > 0) {
+                    this.emit('change', value, paths);
+                }
+            }
+        } catch (error) {
+            if (!this.closed) {
+                this._emitError(error);
+            }
+        } finally {
+            this._loading = false;
+            if (this._pending && !this.closed) {
+                this._pending = false;
+                this._schedule();
+            }
+        }
+    }
+
+    /**
+     * _reload 是 async 函数，没有监听器时 emit('error') 抛出的错误会成为未处理的拒绝，
+     * 因此改在下一轮抛出，与其他 EventEmitter 相同成为未捕获的异常
+     */
+    _emitError(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        } else {
+            process.nextTick(() => {
+                throw error;
+            });
+        }
+    }
+}
+
+const config = new SimpleConfig();
+
+/**
+ * 使用默认实例加载和监视，options 同 SimpleConfig 构造函数时创建独立的实例
+ */
+function load(file, options) {
+    return (options ? new SimpleConfig(options) : config).load(file);
+}
+
+function loadSync(file, options) {
+    return (options ? new SimpleConfig(options) : config).loadSync(file);
+}
+
+function watch(file, options) {
+    return (options ? new SimpleConfig(options) : config).watch(file);
+}
+
+module.exports = { SimpleConfig, SimpleConfigWatcher, load, loadSync, watch };
@@ -0,0 +1,1733 @@
+const { SimpleParser, SimpleParseError } = require('./simpleParser');
+
+/**
+ * 与其他配置格式互相转换，不依赖第三方库
+ *
+ *   convert(text, from, to, options)  返回 { text, warnings }
+ *   read(text, format, options)       返回 { value, warnings, comments }
+ *   write(value, format, options)     返回 { text, warnings }
+ *
+ * format 为 simple / json / yaml / toml / ini / env。
+ * warnings 为 { path, message } 的数组，列出目标格式无法表示、被改写或丢弃的数据；
+ * 读取时的语法错误抛出 SimpleParseError，code 为 E_JSON、E_YAML 等。
+ *
+ * Simple 特有的写法在解析后就是普通的值，因此对所有格式都一样：
+ *   - 区间键 1-3: x 和 - 补足项展开为逐个元素，写回 Simple 时相同的相邻元素重新合并为区间
+ *   - 未声明的索引按 parseOptions.holes 填充；保留下来的空洞（holes: 'sparse'）写为 null 并给出警告
+ *   - ${path} 引用在 parseOptions.interpolate 为 true 时写出解析后的值，否则按原文写出
+ *   - 锚点和别名共享的值在没有引用语法的格式中写为副本
+ *   - 注释不会写到其他格式；从 YAML、TOML、INI、.env 转为 Simple 时，条目前的整行注释保留为 # 注释
+ *
+ * 选项：
+ *   parseOptions  读取 Simple 时的解析选项
+ *   arrayFormat   写 Simple 时的数组格式
+ *   indent        写 Simple、JSON 和 YAML 时的缩进宽度
+ *   compact       写 Simple 时使用单行的 compact 形式，注释不写出
+ *   types         读取 INI 和 .env 时把 true / false 和数字转为对应的类型，默认 true
+ *   separator     .env 中表示嵌套的键分隔符，默认 '__'（DB__HOST 对应 DB.host 的嵌套对象）
+ */
+
+const parser = new SimpleParser();
+
+function convert(text, from, to, options = {}) {
+    const input = read(text, from, options);
+    const output = write(input.value, to, { ...options, comments: input.comments });
+    return { text: output.text, warnings: input.warnings.concat(output.warnings) };
+}
+
+function read(text, format, options = {}) {
+    const context = createContext();
+    const value = converter(format).read(text.replace(/^\uFEFF/, ''), options, context);
+    return { value, warnings: context.warnings, comments: context.comments };
+}
+
+function write(value, format, options = {}) {
+    const context = createContext();
+    const text = converter(format).write(value, options, context);
+    return { text, warnings: context.warnings };
+}
+
+function converter(format) {
+    const found = CONVERTERS[format];
+    if (!found) {
+        throw new Error(`Unknown format: ${format} (expected ${Object.keys(CONVERTERS).join(', ')})`);
+    }
+    return found;
+}
+
+/**
+ * 转换过程中的警告和读到的注释，注释按路径记录
+ */
+function createContext() {
+    return {
+        warnings: [],
+        comments: new Map(),
+        warn(keys, message) {
+            this.warnings.push({ path: formatPath(keys), message });
+        },
+        comment(keys, lines) {
+            if (lines.length === 0) return;
+            const id = keys.join('\u0000');
+            const existing = this.comments.get(id);
+            if (existing) {
+                existing.lines.push(...lines);
+            } else {
+                this.comments.set(id, { keys, lines: lines.slice() });
+            }
+        }
+    };
+}
+
+function formatPath(keys) {
+    return keys.length > 0 ? parser._formatPath(keys) : '';
+}
+
+function has(obj, key) {
+    return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+/**
+ * 以数据属性写入键，__proto__ 这样的键也保存为普通的键而不会改变对象的原型
+ */
+function define(obj, key, value) {
+    Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+/**
+ * 把值整理为目标格式能直接写出的数据
+ * features 列出目标格式原生支持的类型：bigint、date、nonFinite（NaN 和 Infinity）
+ * 其余标签值（Map、Set、RegExp、二进制等）写为标签的普通形式，并给出警告
+ */
+function normalize(value, keys, context, features, ancestors = new Set()) {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+    if (typeof value === 'number') {
+        if (Number.isFinite(value) || features.nonFinite) return value;
+        context.warn(keys, `${value} cannot be represented and is written as null`);
+        return null;
+    }
+    if (typeof value === 'bigint' && features.bigint) return value;
+    if (value instanceof Date && features.date) return value;
+    if (value === undefined || typeof value === 'function' || typeof value === 'symbol') return undefined;
+
+    if (Array.isArray(value) || parser._isPlainObject(value)) {
+        if (ancestors.has(value)) {
+            throw new Error(`Cannot convert ${formatPath(keys) || 'the document'}: circular reference`);
+        }
+        ancestors.add(value);
+        let result;
+        if (Array.isArray(value)) {
+            result = [];
+            for (let i = 0; i < value.length; i++) {
+                if (!(i in value)) {
+                    context.warn(keys.concat(i), 'Array hole is written as null');
+                    result.push(null);
+                    continue;
+                }
+                const item = normalize(value[i], keys.concat(i), context, features, ancestors);
+                result.push(item === undefined ? null : item);
+            }
+        } else {
+            result = {};
+            for (const key of Object.keys(value)) {
+                const item = normalize(value[key], keys.concat(key), context, features, ancestors);
+                if (item !== undefined) {
+                    define(result, key, item);
+                }
+            }
+        }
+        ancestors.delete(value);
+        return result;
+    }
+
+    const tag = parser._findTag(value);
+    if (tag) {
+        const data = parser.tags.get(tag).serialize(value);
+        context.warn(keys, `!${tag} value is written as ${describe(data)}`);
+        return normalize(data, keys, context, features, ancestors);
+    }
+    context.warn(keys, 'Unsupported value is omitted');
+    return undefined;
+}
+
+function describe(data) {
+    if (Array.isArray(data)) return 'an array';
+    if (data !== null && typeof data === 'object') return 'an object';
+    return `a ${typeof data}`;
+}
+
+/**
+ * 逐字符读取文本，错误定位到行列
+ */
+class Cursor {
+    constructor(text, code) {
+        this.text = text;
+        this.code = code;
+        this.pos = 0;
+    }
+
+    peek(offset = 0) {
+        return this.text[this.pos + offset];
+    }
+
+    startsWith(str) {
+        return this.text.startsWith(str, this.pos);
+    }
+
+    done() {
+        return this.pos >= this.text.length;
+    }
+
+    /**
+     * 在当前位置匹配带 y 标志的正则，成功时前进
+     */
+    match(regex) {
+        regex.lastIndex = this.pos;
+        const match = regex.exec(this.text);
+        if (match) {
+            this.pos += match[0].length;
+        }
+        return match;
+    }
+
+    expect(str, description = `"${str}"`) {
+        if (!this.startsWith(str)) {
+            throw this.error(`Expected ${description}`);
+        }
+        this.pos += str.length;
+    }
+
+    error(message, pos = this.pos) {
+        const before = this.text.substring(0, pos);
+        const line = before.split('\n').length;
+        const column = pos - before.lastIndexOf('\n');
+        const source = this.text.split('\n')[line - 1].replace(/\r$/, '');
+        return new SimpleParseError(message, { code: this.code, line, column, source });
+    }
+}
+
+function lineError(code, message, lines, index, column = 1) {
+    return new SimpleParseError(message, { code, line: index + 1, column, source: lines[index] });
+}
+
+/**
+ * INI 和 .env 中按文本推断类型：true / false 为布尔值，十进制数为数值
+ */
+function inferScalar(text) {
+    if (text === 'true' || text === 'false') return text === 'true';
+    if (/^[-+]?\d+(?:\.\d+)?$/.test(text)) {
+        const number = Number(text);
+        // 超出安全范围的整数保留为字符串，避免丢失精度
+        return Number.isInteger(number) && !Number.isSafeInteger(number) ? text : number;
+    }
+    return text;
+}
+
+// ============ Simple ============
+
+/**
+ * 读取时使用 parseOptions；写出时根不是对象则与 compact 相同写为一行，其他格式中读到的整行注释写在对应条目之前
+ */
+const simple = {
+    read(text, options) {
+        return parser.parse(text, options.parseOptions);
+    },
+
+    write(value, options, context) {
+        // 根不是对象时只能写为一行
+        if (options.compact || !parser._isPlainObject(value)) {
+            return `${parser.stringify(value, { compact: true })}\n`;
+        }
+        const arrayFormat = options.arrayFormat || 'indexed';
+        const text = parser.stringify(value, { indent: options.indent || 2, arrayFormat });
+        const result = attachComments(text, options.comments, arrayFormat);
+        return result ? `${result}\n` : '';
+    }
+};
+
+/**
+ * 把注释插入到条目所在行之前，内联值中的条目使用最近的块级祖先所在行
+ */
+function attachComments(text, comments, arrayFormat) {
+    if (!comments || comments.size === 0) return text;
+
+    const located = new SimpleParser();
+    located.parse(text, { arrayFormat });
+    const lines = text.split('\n');
+    const inserts = new Map();
+
+    for (const { keys, lines: texts } of comments.values()) {
+        const location = keys.length > 0 ? located._locate(keys) : null;
+        if (!location) continue;
+        const existing = inserts.get(location.line) || [];
+        for (const comment of texts) {
+            if (!existing.includes(comment)) existing.push(comment);
+        }
+        inserts.set(location.line, existing);
+    }
+
+    for (const [line, texts] of Array.from(inserts).sort((a, b) => b[0] - a[0])) {
+        const indent = lines[line - 1].match(/^\s*/)[0];
+        lines.splice(line - 1, 0, ...texts.map(comment => `${indent}#${comment ? ` ${comment}` : ''}`));
+    }
+    return lines.join('\n');
+}
+
+// ============ JSON ============
+
+/**
+ * None 对应 null；超出安全范围的整数读为 bigint（Simple 中写为 !bigint），写出时按原样输出数字。
+ * JSON 没有的值：NaN 和 Infinity 写为 null，Date 写为 ISO 字符串，其余标签值写为普通形式，均给出警告。
+ * 键按原文顺序读取；JavaScript 对象总是把整数形式的键排在前面，这种键出现在其他键之后时给出警告
+ */
+const json = {
+    read(text, options, context) {
+        const cursor = new Cursor(text, 'E_JSON');
+        const value = jsonValue(cursor, [], context);
+        skipJSONSpace(cursor);
+        if (!cursor.done()) {
+            throw cursor.error('Unexpected content after the JSON value');
+        }
+        return value;
+    },
+
+    write(value, options, context) {
+        const data = normalize(value, [], context, { bigint: true });
+        const unit = ' '.repeat(options.indent === undefined ? 2 : options.indent);
+        return `${jsonText(data, '', unit)}\n`;
+    }
+};
+
+function skipJSONSpace(cursor) {
+    cursor.match(/[ \t\r\n]*/y);
+}
+
+function jsonValue(cursor, keys, context) {
+    skipJSONSpace(cursor);
+    const char = cursor.peek();
+
+    if (char === '{') {
+        cursor.pos++;
+        const obj = {};
+        let named = false; // 已经出现过非整数形式的键
+        let reordered = false;
+        skipJSONSpace(cursor);
+        if (cursor.peek() === '}') {
+            cursor.pos++;
+            return obj;
+        }
+        for (;;) {
+            skipJSONSpace(cursor);
+            if (cursor.peek() !== '"') throw cursor.error('Expected a string key');
+            const key = jsonString(cursor);
+            const path = keys.concat(key);
+            skipJSONSpace(cursor);
+            cursor.expect(':');
+
+            if (/^(?:0|[1-9]\d*)$/.test(key) && Number(key) < 2 ** 32 - 1) {
+                if (named && !reordered) {
+                    context.warn(path, 'Integer-like keys are moved before the other keys of the object');
+                    reordered = true;
+                }
+            } else {
+                named = true;
+            }
+            if (has(obj, key)) {
+                context.warn(path, 'Duplicate key, the last value is used');
+            }
+            define(obj, key, jsonValue(cursor, path, context));
+
+            skipJSONSpace(cursor);
+            if (cursor.peek() === ',') {
+                cursor.pos++;
+                continue;
+            }
+            cursor.expect('}', '"," or "}"');
+            return obj;
+        }
+    }
+
+    if (char === '[') {
+        cursor.pos++;
+        const array = [];
+        skipJSONSpace(cursor);
+        if (cursor.peek() === ']') {
+            cursor.pos++;
+            return array;
+        }
+        for (;;) {
+            array.push(jsonValue(cursor, keys.concat(array.length), context));
+            skipJSONSpace(cursor);
+            if (cursor.peek() === ',') {
+                cursor.pos++;
+                continue;
+            }
+            cursor.expect(']', '"," or "]"');
+            return array;
+        }
+    }
+
+    if (char === '"') return jsonString(cursor);
+
+    const literal = cursor.match(/true|false|null/y);
+    if (literal) {
+        return literal[0] === 'null' ? null : literal[0] === 'true';
+    }
+
+    const number = cursor.match(/-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y);
+    if (number) {
+        const text = number[0];
+        if (/^-?\d+$/.test(text) && !Number.isSafeInteger(Number(text))) {
+            return BigInt(text);
+        }
+        return Number(text);
+    }
+
+    throw cursor.error(char === undefined ? 'Unexpected end of JSON' : `Unexpected character ${char}`);
+}
+
+function jsonString(cursor) {
+    const start = cursor.pos;
+    const match = cursor.match(/"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y);
+    if (!match) throw cursor.error('Invalid string', start);
+    return JSON.parse(match[0]);
+}
+
+function jsonText(value, indentText, unit) {
+    if (value === null) return 'null';
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value === 'number') return parser._formatNumber(value);
+    if (typeof value !== 'object') return JSON.stringify(value);
+
+    const inner = indentText + unit;
+    const isArray = Array.isArray(value);
+    const items = isArray
+        ? value.map(item => jsonText(item, inner, unit))
+        : Object.keys(value).map(key => `${JSON.stringify(key)}:${unit ? ' ' : ''}${jsonText(value[key], inner, unit)}`);
+    const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+
+    if (items.length === 0) return open + close;
+    if (!unit) return open + items.join(',') + close;
+    return `${open}\n${items.map(item => inner + item).join(',\n')}\n${indentText}${close}`;
+}
+
+// ============ YAML ============
+
+/**
+ * 支持常用的 YAML 子集：块映射和块序列、单行或跨行的流式 [] / {}、引号字符串、
+ * | 和 > 块标量、锚点和别名（对应 Simple 的 &name / *name）、<< 合并键和 !!str 等标准标签。
+ * 只读取第一个文档，不支持 ? 复杂键。
+ *
+ * None 对应 null；时间戳读为 Date（Simple 中的 !date）；yes / no / on / off 按 YAML 1.2 读为字符串并给出警告。
+ * 写出时不使用锚点，共享的值写为副本；其余标签值写为普通形式并给出警告
+ */
+const yaml = {
+    read(text, options, context) {
+        const state = { lines: yamlLines(text, context), i: 0, anchors: new Map(), pending: [], context };
+        skipYAMLBlank(state);
+        const first = state.lines[state.i];
+        const value = first ? yamlNode(state, first.indent, []) : null;
+        skipYAMLBlank(state);
+        if (state.i < state.lines.length) {
+            throw yamlError(state.lines[state.i], 'Unexpected indentation');
+        }
+        return value;
+    },
+
+    write(value, options, context) {
+        const data = normalize(value, [], context, { bigint: true, date: true, nonFinite: true });
+        const unit = options.indent || 2;
+        return `${yamlBlock(data, 0, unit).join('\n')}\n`;
+    }
+};
+
+/**
+ * 拆分为行并去掉注释；只保留第一个文档
+ */
+function yamlLines(text, context) {
+    const raws = text.split(/\r?\n/);
+    const lines = [];
+    let started = false;
+
+    for (let index = 0; index < raws.length; index++) {
+        const raw = raws[index];
+        if (/^---(?:\s|$)/.test(raw)) {
+            if (started || lines.some(line => line.text)) {
+                if (raws.slice(index + 1).some(rest => rest.trim() && !rest.trim().startsWith('#'))) {
+                    context.warn([], 'Only the first YAML document is converted');
+                }
+                break;
+            }
+            started = true;
+            continue;
+        }
+        if (/^\.\.\.(?:\s|$)/.test(raw)) break;
+        if (!started && raw.startsWith('%')) continue;
+
+        const indent = raw.match(/^ */)[0].length;
+        if (raw[indent] === '\t' && raw.trim()) {
+            throw new SimpleParseError('Tabs are not allowed in YAML indentation', {
+                code: 'E_YAML', line: index + 1, column: indent + 1, source: raw
+            });
+        }
+        const code = stripYAMLComment(raw);
+        lines.push({
+            number: index + 1,
+            raw,
+            indent,
+            text: code.trim(),
+            comment: !code.trim() && raw.trim().startsWith('#') ? raw.trim().substring(1).trim() : null
+        });
+    }
+    return lines;
+}
+
+/**
+ * 去掉 # 注释：# 位于行首或空白之后，且不在以引号开始的标量中
+ */
+function stripYAMLComment(raw) {
+    let quote = null;
+    for (let i = 0; i < raw.length; i++) {
+        const char = raw[i];
+        if (quote) {
+            if (quote === '"' && char === '\\') {
+                i++;
+            } else if (char === quote) {
+                quote = null;
+            }
+            continue;
+        }
+        const before = raw.substring(0, i).trimEnd();
+        if ((char === '"' || char === "'") && (before === '' || /[:\-[{,?]$/.test(before))) {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(raw[i - 1]))) {
+            return raw.substring(0, i);
+        }
+    }
+    return raw;
+}
+
+function yamlError(line, message, column) {
+    return new SimpleParseError(message, {
+        code: 'E_YAML',
+        line: line.number,
+        column: column || line.indent + 1,
+        source: line.raw
+    });
+}
+
+/**
+ * 跳过空行和注释行，注释留给下一个条目
+ */
+function skipYAMLBlank(state) {
+    while (state.i < state.lines.length && !state.lines[state.i].text) {
+        const { comment } = state.lines[state.i];
+        if (comment !== null) {
+            state.pending.push(comment);
+        }
+        state.i++;
+    }
+}
+
+function takeComments(state, keys) {
+    state.context.comment(keys, state.pending);
+    state.pending = [];
+}
+
+function isSequenceItem(text) {
+    return text === '-' || text.startsWith('- ');
+}
+
+function yamlNode(state, indent, keys) {
+    skipYAMLBlank(state);
+    const line = state.lines[state.i];
+    if (!line || line.indent < indent) return null;
+
+    if (isSequenceItem(line.text)) {
+        return yamlSequence(state, line.indent, keys);
+    }
+    if (findYAMLColon(line.text) !== -1) {
+        return yamlMapping(state, line.indent, keys);
+    }
+    return yamlEntryValue(state, line.text, line.indent - 1, keys, false);
+}
+
+function yamlSequence(state, indent, keys) {
+    const array = [];
+    for (;;) {
+        skipYAMLBlank(state);
+        const line = state.lines[state.i];
+        if (!line || line.indent !== indent || !isSequenceItem(line.text)) break;
+
+        const path = keys.concat(array.length);
+        takeComments(state, path);
+        const rest = line.text.substring(1).trimStart();
+        const column = line.indent + line.text.length - rest.length;
+
+        if (rest && (isSequenceItem(rest) || findYAMLColon(rest) !== -1) && !/^[&!*]/.test(rest)) {
+            // - 之后紧跟的嵌套序列或映射：把这一行视为从 rest 所在列开始
+            line.indent = column;
+            line.text = rest;
+            array.push(yamlNode(state, column, path));
+        } else {
+            array.push(yamlEntryValue(state, rest, indent, path, false));
+        }
+    }
+    return array;
+}
+
+function yamlMapping(state, indent, keys) {
+    const obj = {};
+    const merges = [];
+
+    for (;;) {
+        skipYAMLBlank(state);
+        const line = state.lines[state.i];
+        if (!line || line.indent !== indent || isSequenceItem(line.text)) break;
+
+        if (line.text.startsWith('? ')) {
+            throw yamlError(line, 'Complex keys (?) are not supported');
+        }
+        const colon = findYAMLColon(line.text);
+        if (colon === -1) {
+            throw yamlError(line, 'Expected key: value');
+        }
+        const key = yamlKey(line.text.substring(0, colon).trim(), line);
+        const path = keys.concat(key);
+        takeComments(state, path);
+
+        const value = yamlEntryValue(state, line.text.substring(colon + 1).trim(), indent, path, true);
+        if (key === '<<') {
+            merges.push(...(Array.isArray(value) ? value : [value]));
+            continue;
+        }
+        if (has(obj, key)) {
+            state.context.warn(path, 'Duplicate key, the last value is used');
+        }
+        define(obj, key, value);
+    }
+
+    // << 合并键只补充映射中没有的键
+    for (const source of merges) {
+        if (!parser._isPlainObject(source)) {
+            state.context.warn(keys.concat('<<'), 'Merge key value is not a mapping and is ignored');
+            continue;
+        }
+        for (const key of Object.keys(source)) {
+            if (!has(obj, key)) {
+                define(obj, key, source[key]);
+            }
+        }
+    }
+    return obj;
+}
+
+/**
+ * 查找映射中键后面的冒号，不是映射时返回 -1
+ */
+function findYAMLColon(text) {
+    if (text.startsWith('"') || text.startsWith("'")) {
+        const end = findQuoteEnd(text, 0);
+        if (end === -1) return -1;
+        const match = text.substring(end + 1).match(/^\s*:(?=\s|$)/);
+        return match ? end + match[0].length : -1;
+    }
+    if (/^[[{]/.test(text)) return -1;
+    const match = text.match(/:(?=\s|$)/);
+    return match ? match.index : -1;
+}
+
+/**
+ * 返回 text[start] 处引号对应的结束引号位置，没有结束时返回 -1
+ */
+function findQuoteEnd(text, start) {
+    const quote = text[start];
+    for (let i = start + 1; i < text.length; i++) {
+        if (quote === '"' && text[i] === '\\') {
+            i++;
+        } else if (text[i] === quote) {
+            if (quote === "'" && text[i + 1] === "'") {
+                i++;
+                continue;
+            }
+            return i;
+        }
+    }
+    return -1;
+}
+
+function yamlKey(text, line) {
+    if (text.startsWith('"') || text.startsWith("'")) {
+        return yamlQuoted(text, line);
+    }
+    return text;
+}
+
+/**
+ * 读取 key: 或 - 之后的值；indent 为条目所在的缩进，值的后续行必须比它深
+ */
+function yamlEntryValue(state, rest, indent, keys, inMapping) {
+    let anchor = null;
+    let tag = null;
+    let match;
+    while ((match = rest.match(/^([&!][^\s]*)(?:\s+|$)/))) {
+        if (match[1][0] === '&') {
+            anchor = match[1].substring(1);
+        } else {
+            tag = match[1];
+        }
+        rest = rest.substring(match[0].length);
+    }
+
+    let value;
+    if (rest === '') {
+        state.i++;
+        skipYAMLBlank(state);
+        const next = state.lines[state.i];
+        if (next && next.indent > indent) {
+            value = yamlNode(state, next.indent, keys);
+        } else if (next && inMapping && next.indent === indent && isSequenceItem(next.text)) {
+            // 映射中的序列可以与键对齐
+            value = yamlSequence(state, indent, keys);
+        } else {
+            value = null;
+        }
+    } else if (/^[|>][-+]?\d?$|^[|>]\d[-+]$/.test(rest)) {
+        value = yamlBlockScalar(state, rest, indent);
+    } else {
+        value = yamlInlineValue(state, rest, indent, keys, tag === '!!str');
+    }
+
+    if (tag) {
+        value = applyYAMLTag(tag, value, keys, state);
+    }
+    if (anchor) {
+        state.anchors.set(anchor, value);
+    }
+    return value;
+}
+
+function applyYAMLTag(tag, value, keys, state) {
+    switch (tag) {
+        case '!!str': return value === null ? '' : String(value);
+        case '!!int':
+        case '!!float': return Number(value);
+        case '!!bool': return value === true || value === 'true';
+        case '!!null': return null;
+        case '!!timestamp': return new Date(value);
+        case '!!binary': return Uint8Array.from(atob(String(value).replace(/\s+/g, '')), char => char.charCodeAt(0));
+        case '!!map':
+        case '!!seq': return value;
+        default:
+            state.context.warn(keys, `Tag ${tag} is not supported and is ignored`);
+            return value;
+    }
+}
+
+/**
+ * | 和 > 块标量，支持 - / + 和缩进指示符
+ */
+function yamlBlockScalar(state, header, indent) {
+    const folded = header[0] === '>';
+    const chomp = (header.match(/[-+]/) || [''])[0];
+    const explicit = header.match(/\d/);
+    const body = [];
+
+    state.i++;
+    while (state.i < state.lines.length) {
+        const line = state.lines[state.i];
+        if (line.raw.trim() && line.raw.match(/^ */)[0].length <= indent) break;
+        body.push(line.raw);
+        state.i++;
+    }
+
+    const content = body.filter(raw => raw.trim());
+    const bodyIndent = explicit
+        ? Math.max(indent, 0) + Number(explicit[0])
+        : content.length > 0 ? Math.min(...content.map(raw => raw.match(/^ */)[0].length)) : 0;
+    const lines = body.map(raw => raw.substring(bodyIndent));
+
+    let last = lines.length - 1;
+    while (last >= 0 && !lines[last].trim()) last--;
+    if (last < 0) return chomp === '+' ? '\n'.repeat(lines.length) : '';
+
+    const kept = lines.slice(0, last + 1);
+    let text;
+    if (folded) {
+        // 相邻的普通行以空格连接，空行表示换行，缩进更深的行保留换行
+        text = kept[0];
+        for (let i = 1; i < kept.length; i++) {
+            const previous = kept[i - 1];
+            const line = kept[i];
+            if (line === '') {
+                text += '\n';
+            } else if (previous === '') {
+                text += line;
+            } else if (/^\s/.test(line) || /^\s/.test(previous)) {
+                text += `\n${line}`;
+            } else {
+                text += ` ${line}`;
+            }
+        }
+    } else {
+        text = kept.join('\n');
+    }
+
+    switch (chomp) {
+        case '-': return text;
+        case '+': return text + '\n'.repeat(lines.length - last);
+        default: return `${text}\n`;
+    }
+}
+
+/**
+ * 单行的值：流式集合、引号字符串、别名或普通标量，后两者可以折行到缩进更深的行
+ */
+function yamlInlineValue(state, rest, indent, keys, raw) {
+    const line = state.lines[state.i];
+
+    if (rest.startsWith('[') || rest.startsWith('{')) {
+        // 流式集合可以跨行，读到括号配平为止
+        let text = rest;
+        while (!flowBalanced(text) && state.i + 1 < state.lines.length) {
+            state.i++;
+            text += ` ${state.lines[state.i].text}`;
+        }
+        state.i++;
+        const cursor = { text, pos: 0 };
+        const value = yamlFlowValue(cursor, state, line, keys);
+        skipFlowSpace(cursor);
+        if (cursor.pos < text.length) {
+            throw yamlError(line, `Unexpected content after flow collection: ${text.substring(cursor.pos)}`);
+        }
+        return value;
+    }
+
+    if (rest.startsWith('"') || rest.startsWith("'")) {
+        let text = rest;
+        while (findQuoteEnd(text, 0) === -1 && state.i + 1 < state.lines.length) {
+            state.i++;
+            text += ` ${state.lines[state.i].raw.trim()}`;
+        }
+        state.i++;
+        const end = findQuoteEnd(text, 0);
+        if (end === -1) throw yamlError(line, 'Unterminated string');
+        if (text.substring(end + 1).trim()) {
+            throw yamlError(line, `Unexpected content after string: ${text.substring(end + 1).trim()}`);
+        }
+        return yamlQuoted(text.substring(0, end + 1), line);
+    }
+
+    if (rest.startsWith('*')) {
+        state.i++;
+        return yamlAlias(rest.substring(1), state, line);
+    }
+
+    // 缩进更深的后续行是同一个普通标量的折行
+    let text = rest;
+    state.i++;
+    while (state.i < state.lines.length) {
+        const next = state.lines[state.i];
+        if (!next.text || next.indent <= indent) break;
+        if (isSequenceItem(next.text) || findYAMLColon(next.text) !== -1) {
+            throw yamlError(next, 'Unexpected indentation');
+        }
+        text += ` ${next.text}`;
+        state.i++;
+    }
+    return raw ? text : yamlPlain(text, keys, state);
+}
+
+function yamlAlias(name, state, line) {
+    if (!state.anchors.has(name)) {
+        throw yamlError(line, `Unknown alias: *${name}`);
+    }
+    return state.anchors.get(name);
+}
+
+function yamlQuoted(text, line) {
+    const body = text.substring(1, text.length - 1);
+    if (text[0] === "'") {
+        return body.replace(/''/g, "'");
+    }
+    const escapes = { n: '\n', t: '\t', r: '\r', 0: '\0', b: '\b', f: '\f', e: '\x1b', a: '\x07', v: '\v', ' ': ' ', '/': '/', '"': '"', '\\': '\\' };
+    return body.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (match, escape) => {
+        if (/^[xuU]/.test(escape) && escape.length > 1) {
+            return String.fromCodePoint(parseInt(escape.substring(1), 16));
+        }
+        if (has(escapes, escape)) return escapes[escape];
+        throw yamlError(line, `Invalid escape \\${escape}`);
+    });
+}
+
+/**
+ * 按 YAML 1.2 核心模式解析普通标量，另外把时间戳读为 Date
+ */
+function yamlPlain(text, keys, state) {
+    if (/^(?:null|Null|NULL|~)$/.test(text)) return null;
+    if (/^(?:true|True|TRUE)$/.test(text)) return true;
+    if (/^(?:false|False|FALSE)$/.test(text)) return false;
+    if (/^(?:yes|Yes|YES|no|No|NO|on|On|ON|off|Off|OFF|y|Y|n|N)$/.test(text)) {
+        state.context.warn(keys, `${text} is a boolean in YAML 1.1 but a string in YAML 1.2; kept as a string`);
+        return text;
+    }
+    if (/^[-+]?[0-9]+$/.test(text)) {
+        const number = Number(text);
+        return Number.isSafeInteger(number) ? number : BigInt(text.replace(/^\+/, ''));
+    }
+    if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.substring(2), 16);
+    if (/^0o[0-7]+$/.test(text)) return parseInt(text.substring(2), 8);
+    if (/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(text)) return Number(text);
+    if (/^[-+]?\.(?:inf|Inf|INF)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+    if (/^\.(?:nan|NaN|NAN)$/.test(text)) return NaN;
+
+    const timestamp = text.match(/^(\d{4}-\d\d?-\d\d?)(?:(?:[Tt]|\s+)(\d\d?:\d\d:\d\d(?:\.\d*)?)\s*(Z|[-+]\d\d?(?::?\d\d)?)?)?$/);
+    if (timestamp) {
+        const [, date, time, zone] = timestamp;
+        const iso = time ? `${date}T${time}${zone ? zone.replace(/^([-+])(\d)(?!\d)/, '$10$2') : 'Z'}` : `${date}T00:00:00Z`;
+        const value = new Date(iso);
+        if (!isNaN(value.getTime())) return value;
+    }
+    return text;
+}
+
+function flowBalanced(text) {
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"' || char === "'") {
+            const end = findQuoteEnd(text, i);
+            if (end === -1) return false;
+            i = end;
+        } else if (char === '[' || char === '{') {
+            depth++;
+        } else if (char === ']' || char === '}') {
+            depth--;
+        }
+    }
+    return depth <= 0;
+}
+
+function skipFlowSpace(cursor) {
+    while (cursor.pos < cursor.text.length && /\s/.test(cursor.text[cursor.pos])) {
+        cursor.pos++;
+    }
+}
+
+/**
+ * 流式集合：[a, b] 和 {k: v}，可以嵌套
+ */
+function yamlFlowValue(cursor, state, line, keys) {
+    skipFlowSpace(cursor);
+    const text = cursor.text;
+    const char = text[cursor.pos];
+
+    if (char === '[' || char === '{') {
+        const isArray = char === '[';
+        const close = isArray ? ']' : '}';
+        const result = isArray ? [] : {};
+        cursor.pos++;
+        for (;;) {
+            skipFlowSpace(cursor);
+            if (cursor.pos >= text.length) {
+                throw yamlError(line, `Unterminated flow collection, expected "${close}"`);
+            }
+            if (text[cursor.pos] === close) {
+                cursor.pos++;
+                return result;
+            }
+            if (isArray) {
+                result.push(yamlFlowValue(cursor, state, line, keys.concat(result.length)));
+            } else {
+                const key = yamlFlowScalar(cursor, state, line, true);
+                const path = keys.concat(key);
+                skipFlowSpace(cursor);
+                let value = null;
+                if (text[cursor.pos] === ':') {
+                    cursor.pos++;
+                    value = yamlFlowValue(cursor, state, line, path);
+                }
+                if (has(result, key)) {
+                    state.context.warn(path, 'Duplicate key, the last value is used');
+                }
+                define(result, key, value);
+            }
+            skipFlowSpace(cursor);
+            if (text[cursor.pos] === ',') {
+                cursor.pos++;
+            } else if (text[cursor.pos] !== close) {
+                throw yamlError(line, `Expected "," or "${close}" in flow collection`);
+            }
+        }
+    }
+
+    if (char === '*') {
+        cursor.pos++;
+        const name = text.substring(cursor.pos).match(/^[^\s,\]}]+/)[0];
+        cursor.pos += name.length;
+        return yamlAlias(name, state, line);
+    }
+    return yamlFlowScalar(cursor, state, line, false, keys);
+}
+
+function yamlFlowScalar(cursor, state, line, isKey, keys) {
+    const text = cursor.text;
+    skipFlowSpace(cursor);
+
+    if (text[cursor.pos] === '"' || text[cursor.pos] === "'") {
+        const end = findQuoteEnd(text, cursor.pos);
+        if (end === -1) throw yamlError(line, 'Unterminated string');
+        const value = yamlQuoted(text.substring(cursor.pos, end + 1), line);
+        cursor.pos = end + 1;
+        return value;
+    }
+
+    // 普通标量到 , ] } 或 ": " 为止
+    const rest = text.substring(cursor.pos);
+    const match = rest.match(/^(?:[^,\]}:]|:(?![\s,\]}]))*/);
+    cursor.pos += match[0].length;
+    const scalar = match[0].trim();
+    if (isKey) return scalar;
+    return scalar === '' ? null : yamlPlain(scalar, keys, state);
+}
+
+function yamlBlock(value, indent, unit) {
+    const pad = ' '.repeat(indent);
+
+    if (Array.isArray(value) && value.length > 0) {
+        const lines = [];
+        for (const item of value) {
+            const nested = yamlNested(item, indent + unit, unit);
+            if (nested) {
+                // 嵌套块的第一行接在 - 之后
+                lines.push(`${pad}- ${nested[0].substring(indent + unit)}`, ...nested.slice(1));
+            } else {
+                lines.push(`${pad}- ${yamlScalar(item, indent + unit, unit)}`);
+            }
+        }
+        return lines;
+    }
+
+    if (parser._isPlainObject(value) && Object.keys(value).length > 0) {
+        const lines = [];
+        for (const key of Object.keys(value)) {
+            const item = value[key];
+            const nested = yamlNested(item, indent + unit, unit);
+            if (nested) {
+                lines.push(`${pad}${yamlKeyText(key)}:`, ...nested);
+            } else {
+                lines.push(`${pad}${yamlKeyText(key)}: ${yamlScalar(item, indent + unit, unit)}`);
+            }
+        }
+        return lines;
+    }
+
+    return [pad + yamlScalar(value, indent + unit, unit)];
+}
+
+/**
+ * 非空的数组或对象返回其块的各行，否则返回 null
+ */
+function yamlNested(value, indent, unit) {
+    const isBlock = (Array.isArray(value) && value.length > 0) ||
+        (parser._isPlainObject(value) && Object.keys(value).length > 0);
+    return isBlock ? yamlBlock(value, indent, unit) : null;
+}
+
+function yamlScalar(value, indent, unit) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return '[]';
+    if (parser._isPlainObject(value)) return '{}';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'bigint' || typeof value === 'boolean') return String(value);
+    if (typeof value === 'number') {
+        if (Number.isNaN(value)) return '.nan';
+        if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+        return Object.is(value, -0) ? '-0.0' : String(value);
+    }
+
+    // 多行字符串写为 | 块，无法原样读回的（行尾空白、缩进开头）写为双引号
+    if (value.includes('\n') && !/[ \t]\n|[ \t]$|\r/.test(value) && /^[^\s]/.test(value) && !value.endsWith('\n\n')) {
+        const chomp = value.endsWith('\n') ? '' : '-';
+        const lines = (chomp ? value : value.slice(0, -1)).split('\n');
+        const pad = ' '.repeat(indent);
+        return `|${chomp}\n${lines.map(line => (line ? pad + line : '')).join('\n')}`;
+    }
+    return yamlNeedsQuotes(value) ? JSON.stringify(value) : value;
+}
+
+function yamlKeyText(key) {
+    return yamlNeedsQuotes(key) ? JSON.stringify(key) : key;
+}
+
+function yamlNeedsQuotes(str) {
+    if (str === '' || /^\s|\s$/.test(str)) return true;
+    if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(str)) return true;
+    if (/: |:$| #|[\u0000-\u001f\u007f]/.test(str)) return true;
+    if (/^(?:---|\.\.\.)/.test(str)) return true;
+    // 会被读成其他类型的普通标量
+    const context = createContext();
+    return yamlPlain(str, [], { context }) !== str || context.warnings.length > 0;
+}
+
+// ============ TOML ============
+
+/**
+ * 支持 TOML 1.0：表、表数组、点分键、内联表、多行字符串和数组、各种数字和日期时间写法。
+ *
+ * TOML 没有 null：None 的键被省略，数组中的 None 被删除，均给出警告；根必须是对象。
+ * 带时区的日期时间读为 Date，没有时区的日期、时间保留为字符串并给出警告；
+ * 对象数组写为 [[表数组]]，其余数组写为内联数组
+ */
+const toml = {
+    read(text, options, context) {
+        return readTOML(text, context);
+    },
+
+    write(value, options, context) {
+        const data = normalize(value, [], context, { bigint: true, date: true, nonFinite: true });
+        if (!parser._isPlainObject(data)) {
+            throw new Error('A TOML document must have a table at the top level');
+        }
+        const lines = [];
+        tomlTable(data, [], lines, context, null);
+        return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    }
+};
+
+function readTOML(text, context) {
+    const cursor = new Cursor(text, 'E_TOML');
+    const root = {};
+    const defined = new Set();
+    let current = root;
+    let currentKeys = [];
+    let pending = [];
+
+    for (;;) {
+        cursor.match(/[ \t\r\n]*/y);
+        if (cursor.done()) break;
+
+        if (cursor.peek() === '#') {
+            pending.push(cursor.match(/#([^\n]*)/y)[1].trim());
+            continue;
+        }
+
+        if (cursor.startsWith('[[')) {
+            cursor.pos += 2;
+            const path = tomlKeyPath(cursor);
+            cursor.expect(']]');
+            const parent = tomlDescend(root, path.slice(0, -1), cursor);
+            const last = path[path.length - 1];
+            if (!has(parent, last)) {
+                define(parent, last, []);
+            }
+            if (!Array.isArray(parent[last])) {
+                throw cursor.error(`${formatPath(path)} is not an array of tables`);
+            }
+            current = {};
+            parent[last].push(current);
+            currentKeys = path.concat(parent[last].length - 1);
+            context.comment(currentKeys, pending);
+        } else if (cursor.peek() === '[') {
+            cursor.pos++;
+            const path = tomlKeyPath(cursor);
+            cursor.expect(']');
+            const id = path.join('\u0000');
+            if (defined.has(id)) {
+                throw cursor.error(`Table ${formatPath(path)} is defined twice`);
+            }
+            defined.add(id);
+            current = tomlDescend(root, path, cursor);
+            currentKeys = path;
+            context.comment(currentKeys, pending);
+        } else {
+            const start = cursor.pos;
+            const path = tomlKeyPath(cursor);
+            cursor.match(/[ \t]*/y);
+            cursor.expect('=');
+            cursor.match(/[ \t]*/y);
+            const keys = currentKeys.concat(path);
+            const value = tomlValue(cursor, keys, context);
+            const target = tomlDescend(current, path.slice(0, -1), cursor);
+            const last = path[path.length - 1];
+            if (has(target, last)) {
+                throw cursor.error(`Duplicate key ${formatPath(keys)}`, start);
+            }
+            define(target, last, value);
+            context.comment(keys, pending);
+        }
+        pending = [];
+
+        // 每个表头或键值之后只能有注释和换行
+        cursor.match(/[ \t]*(?:#[^\n]*)?/y);
+        if (!cursor.done() && !cursor.match(/\r?\n/y)) {
+            throw cursor.error('Expected a newline');
+        }
+    }
+    return root;
+}
+
+function tomlKeyPath(cursor) {
+    const keys = [];
+    for (;;) {
+        cursor.match(/[ \t]*/y);
+        let match;
+        if ((match = cursor.match(/"((?:[^"\\\n]|\\.)*)"/y))) {
+            keys.push(tomlUnescape(match[1], cursor));
+        } else if ((match = cursor.match(/'([^'\n]*)'/y))) {
+            keys.push(match[1]);
+        } else if ((match = cursor.match(/[A-Za-z0-9_-]+/y))) {
+            keys.push(match[0]);
+        } else {
+            throw cursor.error('Expected a key');
+        }
+        cursor.match(/[ \t]*/y);
+        if (cursor.peek() !== '.') return keys;
+        cursor.pos++;
+    }
+}
+
+/**
+ * 沿键进入（必要时创建）表，表数组进入其最后一个元素
+ */
+function tomlDescend(table, keys, cursor) {
+    for (const key of keys) {
+        if (!has(table, key)) {
+            define(table, key, {});
+        }
+        let next = table[key];
+        if (Array.isArray(next) && next.length > 0 && parser._isPlainObject(next[next.length - 1])) {
+            next = next[next.length - 1];
+        }
+        if (!parser._isPlainObject(next)) {
+            throw cursor.error(`Cannot define keys inside the value of ${key}`);
+        }
+        table = next;
+    }
+    return table;
+}
+
+function tomlValue(cursor, keys, context) {
+    let match;
+
+    if (cursor.startsWith('"""')) {
+        match = cursor.match(/"""\r?\n?((?:[^"\\]|\\[\s\S]|"(?!""))*)"""("{0,2})/y);
+        if (!match) throw cursor.error('Unterminated multi-line string');
+        // 行尾的 \ 去掉换行和下一行开头的空白
+        return tomlUnescape(match[1].replace(/\\[ \t]*\r?\n\s*/g, ''), cursor) + match[2];
+    }
+    if (cursor.startsWith("'''")) {
+        match = cursor.match(/'''\r?\n?([\s\S]*?)'''('{0,2})/y);
+        if (!match) throw cursor.error('Unterminated multi-line string');
+        return match[1] + match[2];
+    }
+    if ((match = cursor.match(/"((?:[^"\\\n]|\\.)*)"/y))) {
+        return tomlUnescape(match[1], cursor);
+    }
+    if ((match = cursor.match(/'([^'\n]*)'/y))) {
+        return match[1];
+    }
+    if ((match = cursor.match(/(?:true|false)(?![\w-])/y))) {
+        return match[0] === 'true';
+    }
+
+    match = cursor.match(/(\d{4}-\d{2}-\d{2})(?:[Tt ](\d{2}:\d{2}:\d{2}(?:\.\d+)?)(Z|z|[+-]\d{2}:\d{2})?)?(?![\w:-])|\d{2}:\d{2}:\d{2}(?:\.\d+)?/y);
+    if (match) {
+        if (match[3]) {
+            return new Date(`${match[1]}T${match[2]}${match[3].toUpperCase()}`);
+        }
+        context.warn(keys, `Local date or time ${match[0]} has no time zone and is kept as a string`);
+        return match[0];
+    }
+
+    if ((match = cursor.match(/([+-]?)(inf|nan)(?![\w-])/y))) {
+        return match[2] === 'nan' ? NaN : (match[1] === '-' ? -Infinity : Infinity);
+    }
+    if ((match = cursor.match(/0x[0-9A-Fa-f](?:_?[0-9A-Fa-f])*|0o[0-7](?:_?[0-7])*|0b[01](?:_?[01])*/y))) {
+        const digits = match[0].replace(/_/g, '');
+        const value = BigInt(digits);
+        return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+    }
+    if ((match = cursor.match(/[+-]?(?:0|[1-9](?:_?\d)*)(?:\.\d(?:_?\d)*)?(?:[eE][+-]?\d(?:_?\d)*)?(?![\w.:-])/y))) {
+        const text = match[0].replace(/_/g, '');
+        if (/^[+-]?\d+$/.test(text)) {
+            const number = Number(text);
+            return Number.isSafeInteger(number) ? number : BigInt(text.replace(/^\+/, ''));
+        }
+        return Number(text);
+    }
+
+    if (cursor.peek() === '[') {
+        cursor.pos++;
+        const array = [];
+        for (;;) {
+            // 数组中可以换行和写注释
+            cursor.match(/(?:\s|#[^\n]*)*/y);
+            if (cursor.peek() === ']') {
+                cursor.pos++;
+                return array;
+            }
+            array.push(tomlValue(cursor, keys.concat(array.length), context));
+            cursor.match(/(?:\s|#[^\n]*)*/y);
+            if (cursor.peek() === ',') {
+                cursor.pos++;
+            } else if (cursor.peek() !== ']') {
+                throw cursor.error('Expected "," or "]"');
+            }
+        }
+    }
+
+    if (cursor.peek() === '{') {
+        cursor.pos++;
+        const table = {};
+        cursor.match(/[ \t]*/y);
+        if (cursor.peek() === '}') {
+            cursor.pos++;
+            return table;
+        }
+        for (;;) {
+            const path = tomlKeyPath(cursor);
+            cursor.match(/[ \t]*/y);
+            cursor.expect('=');
+            cursor.match(/[ \t]*/y);
+            const target = tomlDescend(table, path.slice(0, -1), cursor);
+            const last = path[path.length - 1];
+            if (has(target, last)) {
+                throw cursor.error(`Duplicate key ${formatPath(keys.concat(path))}`);
+            }
+            define(target, last, tomlValue(cursor, keys.concat(path), context));
+            cursor.match(/[ \t]*/y);
+            if (cursor.peek() === ',') {
+                cursor.pos++;
+                continue;
+            }
+            cursor.expect('}', '"," or "}"');
+            return table;
+        }
+    }
+
+    throw cursor.error('Expected a value');
+}
+
+function tomlUnescape(text, cursor) {
+    const escapes = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\x1b', '"': '"', '\\': '\\' };
+    return text.replace(/\\(u[0-9A-Fa-f]{4}|U[0-9A-Fa-f]{8}|.)/g, (match, escape) => {
+        if (escape.length > 1) return String.fromCodePoint(parseInt(escape.substring(1), 16));
+        if (has(escapes, escape)) return escapes[escape];
+        throw cursor.error(`Invalid escape \\${escape}`);
+    });
+}
+
+/**
+ * 写出一个表：先写标量和内联数组，再写子表和表数组
+ */
+function tomlTable(table, keys, lines, context, header) {
+    const body = [];
+    const tables = [];
+    const arrays = [];
+
+    for (const key of Object.keys(table)) {
+        const value = table[key];
+        const path = keys.concat(key);
+        if (value === null) {
+            context.warn(path, 'None has no TOML equivalent and the key is omitted');
+        } else if (parser._isPlainObject(value)) {
+            tables.push(key);
+        } else if (Array.isArray(value) && value.length > 0 && value.every(item => parser._isPlainObject(item))) {
+            arrays.push(key);
+        } else {
+            body.push(`${tomlKeyText(key)} = ${tomlText(value, path, context)}`);
+        }
+    }
+
+    // 只有子表的表不需要自己的表头
+    if (header !== null && (body.length > 0 || (tables.length === 0 && arrays.length === 0) || header.startsWith('[['))) {
+        if (lines.length > 0) lines.push('');
+        lines.push(header);
+    }
+    lines.push(...body);
+
+    for (const key of tables) {
+        const path = keys.concat(key);
+        tomlTable(table[key], path, lines, context, `[${path.map(tomlKeyText).join('.')}]`);
+    }
+    for (const key of arrays) {
+        const path = keys.concat(key);
+        table[key].forEach((item, i) => {
+            tomlTable(item, path.concat(i), lines, context, `[[${path.map(tomlKeyText).join('.')}]]`);
+        });
+    }
+}
+
+function tomlKeyText(key) {
+    return /^[A-Za-z0-9_-]+$/.test(key) ? key : tomlString(key);
+}
+
+function tomlString(str) {
+    return JSON.stringify(str).replace(/\u007f/g, '\\u007f');
+}
+
+function tomlText(value, keys, context) {
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'bigint' || typeof value === 'boolean') return String(value);
+    if (typeof value === 'string') return tomlString(value);
+    if (typeof value === 'number') {
+        if (Number.isNaN(value)) return 'nan';
+        if (!Number.isFinite(value)) return value > 0 ? 'inf' : '-inf';
+        return Object.is(value, -0) ? '-0.0' : String(value);
+    }
+    if (Array.isArray(value)) {
+        const items = [];
+        value.forEach((item, i) => {
+            if (item === null) {
+                context.warn(keys.concat(i), 'None has no TOML equivalent and is removed from the array');
+            } else {
+                items.push(tomlText(item, keys.concat(i), context));
+            }
+        });
+        return `[${items.join(', ')}]`;
+    }
+    const pairs = [];
+    for (const key of Object.keys(value)) {
+        if (value[key] === null) {
+            context.warn(keys.concat(key), 'None has no TOML equivalent and the key is omitted');
+            continue;
+        }
+        pairs.push(`${tomlKeyText(key)} = ${tomlText(value[key], keys.concat(key), context)}`);
+    }
+    return pairs.length > 0 ? `{ ${pairs.join(', ')} }` : '{}';
+}
+
+// ============ INI ============
+
+/**
+ * [section] 对应顶层对象，节名中的 . 表示嵌套（[a.b] 对应 a.b）；key[] = v 对应数组。
+ * 值默认按 options.types 推断类型，引号中的值总是字符串。注释以 ; 或 # 开头。
+ *
+ * INI 只能表示对象和标量数组：None 写为空值（读回为空字符串），对象数组、嵌套数组和空数组被省略，
+ * 含 = : [ ] ; # 的键和含 . 的节名无法写出，均给出警告
+ */
+const ini = {
+    read(text, options, context) {
+        const types = options.types !== false;
+        const lines = text.split(/\r?\n/);
+        const root = {};
+        let section = root;
+        let sectionKeys = [];
+        let pending = [];
+
+        lines.forEach((raw, index) => {
+            const line = raw.trim();
+            if (!line) return;
+            if (/^[;#]/.test(line)) {
+                pending.push(line.substring(1).trim());
+                return;
+            }
+
+            const header = line.match(/^\[([^\]]*)\]\s*(?:[;#].*)?$/);
+            if (header) {
+                sectionKeys = header[1].split('.').map(part => part.trim());
+                if (sectionKeys.some(part => !part)) {
+                    throw lineError('E_INI', `Invalid section name: ${header[1]}`, lines, index);
+                }
+                section = root;
+                for (const key of sectionKeys) {
+                    if (!has(section, key)) define(section, key, {});
+                    if (!parser._isPlainObject(section[key])) {
+                        throw lineError('E_INI', `Section ${header[1]} conflicts with the value of ${key}`, lines, index);
+                    }
+                    section = section[key];
+                }
+                context.comment(sectionKeys, pending);
+                pending = [];
+                return;
+            }
+
+            const match = line.match(/^([^=:]+?)\s*[=:]\s*(.*)$/);
+            if (!match) {
+                throw lineError('E_INI', 'Expected key = value', lines, index);
+            }
+            let key = match[1];
+            const isArray = key.endsWith('[]');
+            if (isArray) key = key.slice(0, -2).trim();
+            const path = sectionKeys.concat(key);
+            const value = iniValue(match[2], types, lines, index);
+
+            context.comment(path, pending);
+            pending = [];
+            if (isArray) {
+                if (!has(section, key) || !Array.isArray(section[key])) {
+                    if (has(section, key)) context.warn(path, 'Duplicate key, the last value is used');
+                    define(section, key, []);
+                }
+                section[key].push(value);
+            } else {
+                if (has(section, key)) context.warn(path, 'Duplicate key, the last value is used');
+                define(section, key, value);
+            }
+        });
+        return root;
+    },
+
+    write(value, options, context) {
+        const data = normalize(value, [], context, { nonFinite: true });
+        if (!parser._isPlainObject(data)) {
+            throw new Error('An INI document must have an object at the top level');
+        }
+        const lines = [];
+        iniSection(data, [], lines, context);
+        return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    }
+};
+
+function iniValue(text, types, lines, index) {
+    if (text.startsWith('"')) {
+        const match = text.match(/^"((?:[^"\\]|\\.)*)"\s*(?:[;#].*)?$/);
+        if (!match) throw lineError('E_INI', 'Unterminated string', lines, index);
+        return unescapeText(match[1]);
+    }
+    if (text.startsWith("'")) {
+        const match = text.match(/^'([^']*)'\s*(?:[;#].*)?$/);
+        if (!match) throw lineError('E_INI', 'Unterminated string', lines, index);
+        return match[1];
+    }
+    const bare = text.replace(/\s+[;#].*$/, '').trim();
+    return types ? inferScalar(bare) : bare;
+}
+
+function unescapeText(text) {
+    const escapes = { n: '\n', r: '\r', t: '\t' };
+    return text.replace(/\\(.)/g, (match, escape) => (has(escapes, escape) ? escapes[escape] : escape));
+}
+
+function quoteText(str) {
+    return `"${str.replace(/[\\"\n\r\t$]/g, char => ({ '\n': '\\n', '\r': '\\r', '\t': '\\t' })[char] || `\\${char}`)}"`;
+}
+
+function iniSection(section, keys, lines, context) {
+    const body = [];
+    const sections = [];
+
+    for (const key of Object.keys(section)) {
+        const value = section[key];
+        const path = keys.concat(key);
+        if (parser._isPlainObject(value)) {
+            sections.push(key);
+            continue;
+        }
+        if (!key.trim() || key !== key.trim() || /[=:[\];#]/.test(key)) {
+            context.warn(path, 'Key cannot be written in INI and is omitted');
+            continue;
+        }
+        if (Array.isArray(value)) {
+            if (value.length === 0 || value.some(item => item !== null && typeof item === 'object')) {
+                context.warn(path, 'Only non-empty arrays of scalars can be written in INI; omitted');
+                continue;
+            }
+            value.forEach((item, i) => body.push(iniLine(`${key}[]`, iniText(item, path.concat(i), context))));
+            continue;
+        }
+        body.push(iniLine(key, iniText(value, path, context)));
+    }
+
+    if (keys.length > 0 && (body.length > 0 || sections.length === 0)) {
+        if (lines.length > 0) lines.push('');
+        lines.push(`[${keys.join('.')}]`);
+    }
+    lines.push(...body);
+
+    for (const key of sections) {
+        if (!key.trim() || /[.[\]]/.test(key)) {
+            context.warn(keys.concat(key), 'Section name cannot be written in INI and is omitted');
+            continue;
+        }
+        iniSection(section[key], keys.concat(key), lines, context);
+    }
+}
+
+function iniLine(key, text) {
+    return text ? `${key} = ${text}` : `${key} =`;
+}
+
+function iniText(value, keys, context) {
+    if (value === null) {
+        context.warn(keys, 'None is written as an empty value');
+        return '';
+    }
+    if (typeof value === 'number') return parser._formatNumber(value);
+    if (typeof value !== 'string') return String(value);
+    // 引号开头、首尾空白、注释符号、换行，以及会被推断为其他类型的字符串需要引号
+    if (/^["']|^\s|\s$|[;#\n\r\t]/.test(value) || inferScalar(value) !== value) {
+        return quoteText(value);
+    }
+    return value;
+}
+
+// ============ .env ============
+
+/**
+ * NAME=value，可以带 export 前缀；双引号值支持 \n 等转义并可以跨行，单引号值按原样读取。
+ * 键中的 separator（默认 __）表示嵌套，键为 0..n-1 的对象读为数组；${VAR} 不展开，按原样保留。
+ *
+ * .env 只有字符串：None 写为空值，空对象和空数组被省略，不是合法变量名的键被省略，均给出警告
+ */
+const env = {
+    read(text, options, context) {
+        const types = options.types !== false;
+        const separator = options.separator === undefined ? '__' : options.separator;
+        const lines = text.split(/\r?\n/);
+        const root = {};
+        let pending = [];
+
+        for (let index = 0; index < lines.length; index++) {
+            const line = lines[index].trim();
+            if (!line) continue;
+            if (line.startsWith('#')) {
+                pending.push(line.substring(1).trim());
+                continue;
+            }
+
+            const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+            if (!match) {
+                throw lineError('E_ENV', 'Expected NAME=value', lines, index);
+            }
+            const [, name, rest] = match;
+            const start = index;
+            let value;
+
+            if (rest.startsWith('"') || rest.startsWith("'")) {
+                // 引号中的值可以跨行
+                const quote = rest[0];
+                let body = rest.substring(1);
+                let end = envQuoteEnd(body, quote);
+                while (end === -1 && index + 1 < lines.length) {
+                    index++;
+                    body += `\n${lines[index]}`;
+                    end = envQuoteEnd(body, quote);
+                }
+                if (end === -1) {
+                    throw lineError('E_ENV', 'Unterminated string', lines, start);
+                }
+                if (!/^\s*(?:#.*)?$/.test(body.substring(end + 1))) {
+                    throw lineError('E_ENV', 'Unexpected content after the closing quote', lines, index);
+                }
+                value = quote === '"' ? unescapeText(body.substring(0, end)) : body.substring(0, end);
+            } else {
+                const bare = rest.replace(/\s+#.*$/, '').trim();
+                value = types ? inferScalar(bare) : bare;
+            }
+
+            const keys = separator ? name.split(separator) : [name];
+            context.comment(keys, pending);
+            pending = [];
+            envSet(root, keys, value, context);
+        }
+        return envArrays(root);
+    },
+
+    write(value, options, context) {
+        const separator = options.separator === undefined ? '__' : options.separator;
+        const data = normalize(value, [], context, { nonFinite: true });
+        if (!parser._isPlainObject(data)) {
+            throw new Error('A .env document must have an object at the top level');
+        }
+        const lines = [];
+        envWrite(data, [], lines, separator, context);
+        return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    }
+};
+
+function envQuoteEnd(body, quote) {
+    for (let i = 0; i < body.length; i++) {
+        if (quote === '"' && body[i] === '\\') {
+            i++;
+        } else if (body[i] === quote) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function envSet(root, keys, value, context) {
+    let target = root;
+    for (let i = 0; i < keys.length - 1; i++) {
+        const key = keys[i];
+        if (!has(target, key)) {
+            define(target, key, {});
+        } else if (!parser._isPlainObject(target[key])) {
+            context.warn(keys, `Conflicts with the value of ${formatPath(keys.slice(0, i + 1))} and is omitted`);
+            return;
+        }
+        target = target[key];
+    }
+
+    const last = keys[keys.length - 1];
+    if (has(target, last)) {
+        if (parser._isPlainObject(target[last])) {
+            context.warn(keys, 'Conflicts with nested variables and is omitted');
+            return;
+        }
+        context.warn(keys, 'Duplicate variable, the last value is used');
+    }
+    define(target, last, value);
+}
+
+/**
+ * 键恰好为 0..n-1 的对象转为数组
+ */
+function envArrays(value) {
+    if (!parser._isPlainObject(value)) return value;
+
+    const keys = Object.keys(value);
+    for (const key of keys) {
+        value[key] = envArrays(value[key]);
+    }
+    if (keys.length > 0 && keys.every((key, i) => key === String(i))) {
+        return keys.map(key => value[key]);
+    }
+    return value;
+}
+
+function envWrite(value, keys, lines, separator, context) {
+    if (value !== null && typeof value === 'object') {
+        const entries = Array.isArray(value) ? value.map((item, i) => [i, item]) : Object.entries(value);
+        if (entries.length === 0) {
+            context.warn(keys, 'Empty containers cannot be written in .env and are omitted');
+            return;
+        }
+        if (keys.length > 0 && !separator) {
+            context.warn(keys, 'Nested values need a separator and are omitted');
+            return;
+        }
+        for (const [key, item] of entries) {
+            envWrite(item, keys.concat(key), lines, separator, context);
+        }
+        return;
+    }
+
+    const name = keys.join(separator);
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        context.warn(keys, `${name} is not a valid variable name and is omitted`);
+        return;
+    }
+    if (separator && keys.some(key => String(key).includes(separator))) {
+        context.warn(keys, `Key contains the separator ${separator} and reads back as a nested value`);
+    }
+    lines.push(`${name}=${envText(value, keys, context)}`);
+}
+
+function envText(value, keys, context) {
+    if (value === null) {
+        context.warn(keys, 'None is written as an empty value');
+        return '';
+    }
+    if (typeof value === 'number') return parser._formatNumber(value);
+    if (typeof value !== 'string') return String(value);
+    if (/[\s#"'\\$`]/.test(value) || inferScalar(value) !== value) {
+        return quoteText(value);
+    }
+    return value;
+}
+
+const CONVERTERS = { simple, json, yaml, toml, ini, env };
+
+module.exports = { convert, read, write };
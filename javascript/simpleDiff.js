@@ -0,0 +1,208 @@
+const { SimpleParser } = require('./simpleParser');
+
+/**
+ * 结构化差异和补丁
+ *
+ * 补丁是操作的数组，每个操作为 { op, path, value }：
+ *   add      路径原本不存在，设为 value
+ *   remove   删除路径上的值（没有 value）
+ *   replace  路径已存在，替换为 value
+ *
+ * path 使用 SimpleParser.parsePath 的语法，根为空字符串。
+ * 数组按索引比较，相邻索引上相同的标量变化合并为一个区间操作（如 test[1-3]），
+ * 因此区间被拆分或合并时只报告实际变化的索引，而不是整个数组。
+ * a 中空洞处的新值为 add；没有操作能留下空洞，b 中的空洞不产生操作
+ */
+
+const parser = new SimpleParser();
+
+/**
+ * 计算把 a 变为 b 的补丁
+ * options.ranges 为 false 时每个索引单独一个操作
+ */
+function diff(a, b, options = {}) {
+    const ops = [];
+    diffValue(a, b, [], ops, options.ranges !== false);
+    return ops;
+}
+
+function diffValue(a, b, keys, ops, ranges) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        diffArray(a, b, keys, ops, ranges);
+    } else if (parser._isPlainObject(a) && parser._isPlainObject(b)) {
+        diffObject(a, b, keys, ops, ranges);
+    } else if (!parser._isEqual(a, b)) {
+        ops.push({ op: 'replace', path: formatPath(keys), value: b });
+    }
+}
+
+function diffObject(a, b, keys, ops, ranges) {
+    for (const key of Object.keys(a)) {
+        if (!Object.prototype.hasOwnProperty.call(b, key)) {
+            ops.push({ op: 'remove', path: formatPath(keys.concat(key)) });
+        }
+    }
+    for (const key of Object.keys(b)) {
+        if (Object.prototype.hasOwnProperty.call(a, key)) {
+            diffValue(a[key], b[key], keys.concat(key), ops, ranges);
+        } else {
+            ops.push({ op: 'add', path: formatPath(keys.concat(key)), value: b[key] });
+        }
+    }
+}
+
+function diffArray(a, b, keys, ops, ranges) {
+    // 连续索引上相同的标量操作暂存为一个区间
+    let run = null;
+    const flush = () => {
+        if (run) {
+            ops.push({ op: run.op, path: formatPath(keys, run.start, run.end), value: run.value });
+            run = null;
+        }
+    };
+    const push = (op, index, value) => {
+        if (run && run.op === op && run.end === index - 1 && parser._isEqual(run.value, value)) {
+            run.end = index;
+            return;
+        }
+        flush();
+        if (ranges && !isContainer(value)) {
+            run = { op, start: index, end: index, value };
+        } else {
+            ops.push({ op, path: formatPath(keys, index), value });
+        }
+    };
+
+    const common = Math.min(a.length, b.length);
+    for (let i = 0; i < common; i++) {
+        const bothArrays = Array.isArray(a[i]) && Array.isArray(b[i]);
+        const bothObjects = parser._isPlainObject(a[i]) && parser._isPlainObject(b[i]);
+        if (bothArrays || bothObjects) {
+            flush();
+            diffValue(a[i], b[i], keys.concat(i), ops, ranges);
+        } else if (i in b && !parser._isEqual(a[i], b[i])) {
+            push(i in a ? 'replace' : 'add', i, b[i]);
+        } else {
+            flush();
+        }
+    }
+    for (let i = common; i < b.length; i++) {
+        if (i in b) {
+            push('add', i, b[i]);
+        } else {
+            flush();
+        }
+    }
+    flush();
+
+    // 多出的元素从末尾删除，逐个删除时从后往前，使前面的索引不受影响
+    if (a.length > b.length) {
+        if (ranges && a.length - b.length > 1) {
+            ops.push({ op: 'remove', path: formatPath(keys, b.length, a.length - 1) });
+        } else {
+            for (let i = a.length - 1; i >= b.length; i--) {
+                ops.push({ op: 'remove', path: formatPath(keys, i) });
+            }
+        }
+    }
+}
+
+/**
+ * 对 obj 的副本依次应用补丁并返回结果；路径与操作不符时抛出错误
+ */
+function applyPatch(obj, patch) {
+    // 先检查所有路径，含无效或 __proto__ 等不安全段的补丁整个不应用
+    patch.forEach(({ path }, i) => {
+        try {
+            SimpleParser._checkSegments(SimpleParser.parsePath(path));
+        } catch (error) {
+            throw new Error(`Cannot apply patch[${i}]: ${error.message}`);
+        }
+    });
+
+    let root = parser._cloneTree(obj);
+
+    patch.forEach((operation, i) => {
+        const { op, path } = operation;
+        const value = parser._cloneTree(operation.value);
+
+        if (path === '') {
+            if (op === 'remove') {
+                root = undefined;
+            } else {
+                root = value;
+            }
+            return;
+        }
+
+        switch (op) {
+            case 'add':
+                SimpleParser.set(root, path, value);
+                break;
+            case 'replace':
+                if (!SimpleParser.has(root, path)) {
+                    throw new Error(`Cannot apply patch[${i}]: ${path} does not exist`);
+                }
+                SimpleParser.set(root, path, value);
+                break;
+            case 'remove':
+                if (!SimpleParser.has(root, path)) {
+                    throw new Error(`Cannot apply patch[${i}]: ${path} does not exist`);
+                }
+                SimpleParser.delete(root, path);
+                break;
+            default:
+                throw new Error(`Cannot apply patch[${i}]: unknown operation ${op}`);
+        }
+    });
+
+    return root;
+}
+
+/**
+ * 将补丁写为 Simple 文档：
+ *
+ *   patch: []
+ *       0: {op: replace, path: "test[1-3]", value: 2}
+ *       1: {op: remove, path: teacher.room}
+ */
+function formatPatch(patch, options = {}) {
+    return parser.stringify({ patch }, options);
+}
+
+/**
+ * 读取 formatPatch 写出的补丁，并检查每个操作的格式
+ */
+function parsePatch(text, options = {}) {
+    const doc = parser.parse(text, options);
+    if (!doc || !Array.isArray(doc.patch)) {
+        throw new Error('Invalid patch: expected a "patch" array');
+    }
+
+    doc.patch.forEach((operation, i) => {
+        if (!parser._isPlainObject(operation) || !['add', 'remove', 'replace'].includes(operation.op) ||
+            typeof operation.path !== 'string') {
+            throw new Error(`Invalid patch: patch[${i}] must have an op of add, remove or replace and a path`);
+        }
+        // 路径语法错误在读取时就报告
+        SimpleParser.parsePath(operation.path);
+    });
+    return doc.patch;
+}
+
+/**
+ * 格式化路径，可以附加一个索引或区间
+ */
+function formatPath(keys, start, end) {
+    let path = keys.length > 0 ? parser._formatPath(keys) : '';
+    if (start !== undefined) {
+        path += end === undefined || end === start ? `[${start}]` : `[${start}-${end}]`;
+    }
+    return path;
+}
+
+function isContainer(value) {
+    return value !== null && typeof value === 'object';
+}
+
+module.exports = { diff, applyPatch, formatPatch, parsePatch };
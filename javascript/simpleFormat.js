@@ -0,0 +1,705 @@
+const { SimpleParser, SimpleParseError } = require('./simpleParser');
+
+/**
+ * 规范化格式、代码检查和记号切分
+ *
+ * 三者都逐行扫描原文而不是重新序列化，因此注释、@include、${} 引用和锚点名都原样保留
+ */
+
+/**
+ * 逐行扫描文档，还原出与 _linesToAst 相同的嵌套结构
+ * 每行的 kind 为 blank / comment / include / anchor / entry / text，entry 行带有对应的条目，
+ * text 行是块字符串的正文，block 为 { header, indent }，header 为标记所在行
+ */
+function scan(parser, text, arrayFormat) {
+    const raws = text.split(/\r?\n/);
+    // 以换行结尾时最后的空字符串不是一行
+    const blocks = parser._findBlockStrings(text.endsWith('\n') ? raws.slice(0, -1) : raws);
+    const bodies = new Map();
+    for (const block of blocks) {
+        const content = raws.slice(block.start, block.end).filter(raw => raw.trim());
+        const indent = Math.min(...content.map(raw => raw.match(/^[ \t]*/)[0].length));
+        for (let i = block.start; i < block.end; i++) {
+            bodies.set(i, { header: block.line, indent });
+        }
+    }
+
+    const state = { inBlock: false };
+    const lines = raws.map((raw, index) => {
+        if (bodies.has(index)) {
+            return { raw, masked: '', kind: 'text', block: bodies.get(index), index, number: index + 1 };
+        }
+        // continued：该行开始时仍在 /* */ 内
+        const continued = state.inBlock;
+        return { raw, masked: parser._maskComments(raw, state), continued, index, number: index + 1 };
+    });
+    for (const line of lines) {
+        if (line.kind === 'text') {
+            line.block.header = lines[line.block.header];
+        }
+    }
+
+    parser._detectIndentType(lines.map(line => ({ text: line.masked })));
+
+    // compact 形式的文档只有一行内联值，它是根的值而不是条目
+    const codeLines = lines.filter(line => line.kind !== 'text' && line.masked.trim());
+    const compact = codeLines.length === 1 && parser._isCompactValue(codeLines[0].masked.trim()) ? codeLines[0] : null;
+
+    const root = { key: null, type: 'object', children: [], depth: 0, line: null };
+    const stack = [{ entry: root, indent: -1 }];
+
+    for (const line of lines) {
+        if (line.kind === 'text') continue;
+
+        const code = line.masked.trim();
+        if (!code) {
+            line.kind = line.raw.trim() ? 'comment' : 'blank';
+            continue;
+        }
+
+        const indent = parser._getIndentLevel(line.masked);
+        while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
+            stack.pop();
+        }
+        const parent = stack[stack.length - 1].entry;
+
+        line.depth = stack.length - 1;
+        line.leading = line.raw.substring(0, line.masked.length - line.masked.trimStart().length);
+        line.codeStart = line.leading.length;
+        line.codeEnd = line.masked.trimEnd().length;
+        line.code = code;
+        line.comment = line.raw.substring(line.codeEnd).trim();
+        // 代码中间夹有 /* */ 注释时，该行不改写
+        line.verbatim = line.raw.substring(line.codeStart, line.codeEnd) !== code;
+
+        if (SimpleParser.INCLUDE_PATTERN.test(code)) {
+            line.kind = 'include';
+            line.parent = parent;
+            continue;
+        }
+        if (parent === root && /^&[A-Za-z_][\w.-]*$/.test(code)) {
+            line.kind = 'anchor';
+            continue;
+        }
+
+        line.kind = 'entry';
+        const entry = { line, parent, depth: line.depth, children: [] };
+        if (line === compact || (arrayFormat === 'values' && parent.type === 'array' &&
+            (parser._findSeparator(code) === -1 || code.startsWith('!')))) {
+            entry.key = '-';
+            entry.isValue = true;
+            entry.valueText = code;
+        } else {
+            const split = parser._splitKey(code);
+            entry.key = split ? split.key : code;
+            entry.keyText = split ? code.substring(0, split.colon).trim() : code;
+            entry.quotedKey = Boolean(split && split.quoted);
+            entry.valueText = split ? code.substring(split.colon + 1).trim() : '';
+        }
+
+        try {
+            entry.type = parser._getValueType(entry.valueText);
+        } catch (error) {
+            if (!(error instanceof SimpleParseError)) throw error;
+            entry.type = 'string';
+        }
+
+        if (parent.type === 'array' && !entry.isValue && !entry.quotedKey) {
+            const range = entry.key.match(/^(\d+)\s*-\s*(\d+)$/);
+            if (range) {
+                entry.start = Number(range[1]);
+                entry.end = Number(range[2]);
+            } else if (/^\d+$/.test(entry.key)) {
+                entry.start = entry.end = Number(entry.key);
+            }
+        }
+
+        line.entry = entry;
+        parent.children.push(entry);
+        if (entry.type === 'object' || entry.type === 'array') {
+            stack.push({ entry, indent });
+        }
+    }
+
+    return { lines, root };
+}
+
+/**
+ * 按 _parseTypedValue 的语法遍历值文本，scalar(kind, text) 返回替换后的标量文本
+ * kind 为 quoted（带引号的字符串）、bare（无引号字符串）、literal（数字、布尔、None 等）或 key（内联对象中带引号的键）
+ */
+function mapValue(parser, str, scalar) {
+    str = str.trim();
+
+    const anchor = str.match(/^&([A-Za-z_][\w.-]*)(?:\s+([\s\S]*))?$/);
+    if (anchor) {
+        return anchor[2] ? `&${anchor[1]} ${mapValue(parser, anchor[2], scalar)}` : `&${anchor[1]}`;
+    }
+    if (/^\*[A-Za-z_][\w.-]*$/.test(str)) return str;
+
+    const tag = str.match(/^!([A-Za-z_][\w.-]*)(?:\s+([\s\S]*))?$/);
+    if (tag) {
+        // 标量载荷按原文传给标签，只规范化引号和内联容器
+        const payload = tag[2] || '';
+        if (parser._isQuoted(payload) || payload.startsWith('[') || payload.startsWith('{')) {
+            return `!${tag[1]} ${mapValue(parser, payload, scalar)}`;
+        }
+        return str;
+    }
+
+    if (str === 'None' || str === 'true' || str === 'false' || str === '{}' || str === '[]' ||
+        parser._isNumber(str)) {
+        return scalar('literal', str);
+    }
+    if (parser._isQuoted(str)) {
+        return scalar('quoted', str);
+    }
+    if (str.startsWith('[') && str.endsWith(']')) {
+        const items = parser._splitByComma(str.substring(1, str.length - 1).trim());
+        return `[${items.map(item => mapValue(parser, item, scalar)).join(', ')}]`;
+    }
+    if (str.startsWith('{') && str.endsWith('}')) {
+        const pairs = parser._splitByComma(str.substring(1, str.length - 1).trim());
+        return `{${pairs.map(pair => {
+            const split = parser._splitKey(pair);
+            if (!split) return pair;
+            const key = pair.substring(0, split.colon).trim();
+            return `${split.quoted ? scalar('key', key) : key}: ${mapValue(parser, pair.substring(split.colon + 1), scalar)}`;
+        }).join(', ')}}`;
+    }
+    return scalar('bare', str);
+}
+
+/**
+ * 规范化格式：缩进、引号风格、内联值的空格、数组区间写法和空行
+ */
+class SimpleFormatter {
+    constructor(options = {}) {
+        const defaultOptions = {
+            indent: 2,
+            indentChar: ' ', // '\t' 时每级 indent 个制表符
+            quotes: 'double', // 'double' / 'single'：统一带引号字符串的引号；'minimal'：只在需要时加双引号；'preserve'
+            ranges: 'preserve', // 'compress'：连续且值相同的索引合并为 a-b；'expand'：区间展开为逐个索引；'preserve'
+            arrayFormat: 'indexed', // 'indexed' 或 'values'
+            parser: null // 注册了自定义标签的 SimpleParser
+        };
+        this.options = { ...defaultOptions, ...options };
+        this.parser = this.options.parser || new SimpleParser();
+    }
+
+    /**
+     * 返回格式化后的文本；文档有语法错误时抛出 SimpleParseError
+     */
+    format(text, parseOptions = {}) {
+        const options = this.options;
+        const parser = this.parser;
+        // 先按普通解析检查语法，${} 引用保持原样
+        parser.parse(text, { arrayFormat: options.arrayFormat, interpolate: false, ...parseOptions });
+
+        const { lines, root } = scan(parser, text, options.arrayFormat);
+        const eol = text.includes('\r\n') ? '\r\n' : '\n';
+        const out = lines.map(line => [this._formatLine(line, lines)]);
+
+        if (options.ranges !== 'preserve') {
+            this._formatRanges(root, out);
+        }
+
+        // 去掉首尾空行，连续空行合并为一行，块字符串正文中的空行保持不变
+        const result = [];
+        const kept = [];
+        out.forEach((texts, i) => {
+            for (const text of texts) {
+                const body = lines[i].kind === 'text';
+                if (text === '' && !body && (result.length === 0 || result[result.length - 1] === '')) continue;
+                result.push(text);
+                kept.push(body);
+            }
+        });
+        while (result.length > 0 && result[result.length - 1] === '' && !kept[result.length - 1]) {
+            result.pop();
+        }
+        return result.length === 0 ? '' : result.join(eol) + eol;
+    }
+
+    _indent(depth) {
+        return this.options.indentChar.repeat(depth * this.options.indent);
+    }
+
+    _formatLine(line, lines) {
+        switch (line.kind) {
+            case 'blank':
+                return '';
+            case 'text': {
+                // 正文去掉原来的共同缩进，再缩进到标记行的下一级
+                const rest = line.raw.substring(line.block.indent);
+                return rest ? this._indent(line.block.header.depth + 1) + rest : '';
+            }
+            case 'comment': {
+                // 块注释的后续行保持原样，其余注释行与下一行代码对齐
+                if (line.continued) return line.raw.trimEnd();
+                const next = lines.slice(line.index + 1).find(other => other.depth !== undefined);
+                return this._indent(next ? next.depth : 0) + line.raw.trim();
+            }
+            default: {
+                const code = line.verbatim
+                    ? line.raw.substring(line.codeStart, line.codeEnd)
+                    : line.kind === 'entry' ? this._formatEntry(line.entry) : line.code;
+                return this._indent(line.depth) + code + (line.comment ? ` ${line.comment}` : '');
+            }
+        }
+    }
+
+    _formatEntry(entry) {
+        entry.formatted = this._formatValue(entry.valueText);
+        if (entry.isValue) return entry.formatted;
+
+        const key = entry.start !== undefined && entry.start !== entry.end
+            ? `${entry.start}-${entry.end}`
+            : entry.quotedKey ? this._formatScalar('key', entry.keyText) : entry.keyText;
+        return entry.formatted ? `${key}: ${entry.formatted}` : `${key}:`;
+    }
+
+    _formatValue(valueText) {
+        if (!valueText) return '';
+        return mapValue(this.parser, valueText, (kind, text) => this._formatScalar(kind, text));
+    }
+
+    /**
+     * 按 quotes 选项改写带引号的字符串或键，minimal 时只保留键必需的引号
+     */
+    _formatScalar(kind, text) {
+        const parser = this.parser;
+        const quotes = this.options.quotes;
+        if ((kind !== 'quoted' && kind !== 'key') || quotes === 'preserve') return text;
+
+        const value = parser._parseString(text.substring(1, text.length - 1));
+        const needed = kind === 'key' ? parser._formatKey(value) !== value : parser._needsQuotes(value);
+        if (quotes === 'minimal' && !needed) {
+            return value;
+        }
+        const body = parser._escapeString(value);
+        if (quotes === 'single') {
+            return `'${body.replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+        }
+        return `"${body}"`;
+    }
+
+    /**
+     * 合并或展开索引数组中的区间，只处理没有子块、注释和锚点的单行条目
+     */
+    _formatRanges(container, out) {
+        if (container.type === 'array') {
+            const simple = entry => !entry.isValue && entry.start !== undefined && entry.children.length === 0 &&
+                !entry.line.comment && !entry.line.verbatim && !entry.valueText.startsWith('&');
+
+            if (this.options.ranges === 'expand') {
+                for (const entry of container.children) {
+                    if (!simple(entry) || entry.start === entry.end) continue;
+                    const texts = [];
+                    for (let i = entry.start; i <= entry.end; i++) {
+                        texts.push(`${this._indent(entry.depth)}${i}: ${entry.formatted}`);
+                    }
+                    out[entry.line.index] = texts;
+                }
+            } else {
+                let run = null;
+                const flush = () => {
+                    if (run && run.entries.length > 1) {
+                        const first = run.entries[0];
+                        out[first.line.index] = [`${this._indent(first.depth)}${run.start}-${run.end}: ${first.formatted}`];
+                        for (const entry of run.entries.slice(1)) {
+                            out[entry.line.index] = [];
+                        }
+                    }
+                    run = null;
+                };
+
+                for (const entry of container.children) {
+                    if (!simple(entry)) {
+                        flush();
+                        continue;
+                    }
+                    const last = run && run.entries[run.entries.length - 1];
+                    if (last && last.line.index + 1 === entry.line.index && run.end + 1 === entry.start &&
+                        last.formatted === entry.formatted) {
+                        run.entries.push(entry);
+                        run.end = entry.end;
+                    } else {
+                        flush();
+                        run = { entries: [entry], start: entry.start, end: entry.end };
+                    }
+                }
+                flush();
+            }
+        }
+
+        for (const child of container.children) {
+            this._formatRanges(child, out);
+        }
+    }
+}
+
+/**
+ * 检查警告，code 为 W_ 加规则名，rule 为规则名
+ */
+class SimpleLintWarning extends SimpleParseError {
+    constructor(rule, message, { line, column, source }) {
+        super(message, { code: `W_${rule.toUpperCase().replace(/-/g, '_')}`, line, column, source });
+        this.name = 'SimpleLintWarning';
+        this.rule = rule;
+    }
+}
+
+/**
+ * 可配置规则的代码检查，规则设为 false 时关闭
+ */
+class SimpleLinter {
+    constructor(options = {}) {
+        const defaultRules = {
+            'duplicate-key': true, // 同一对象中重复的键，后者会覆盖前者
+            'overlapping-range': true, // 数组中互相重叠的索引或区间
+            'index-gap': true, // 未声明的索引，提示按 holes 选项如何处理
+            'mixed-indentation': true, // 混用制表符和空格缩进
+            'number-like-string': true, // 看起来像数字的无引号字符串，如 1.2.3
+            'max-depth': 8 // 最大嵌套层数
+        };
+        this.options = { arrayFormat: 'indexed', parser: null, ...options };
+        this.rules = { ...defaultRules, ...options.rules };
+        this.parser = this.options.parser || new SimpleParser();
+    }
+
+    /**
+     * 返回语法错误和检查警告，按行号排序；parseOptions 中的 holes / holeValue 决定 index-gap 的提示
+     */
+    lint(text, parseOptions = {}) {
+        const parser = this.parser;
+        const options = {
+            arrayFormat: this.options.arrayFormat,
+            interpolate: false,
+            holes: 'zero',
+            holeValue: 0,
+            ...parseOptions,
+            recover: true
+        };
+        const { errors } = parser.parse(text, options);
+        const holes = { policy: options.holes, value: options.holeValue };
+
+        const { lines, root } = scan(parser, text, this.options.arrayFormat);
+        const warnings = [];
+        const warn = (rule, message, line, column) => {
+            warnings.push(new SimpleLintWarning(rule, message, {
+                line: line.number,
+                column: column || line.codeStart + 1,
+                source: line.raw
+            }));
+        };
+
+        if (this.rules['mixed-indentation']) {
+            this._checkIndentation(lines, parser, warn);
+        }
+        this._checkEntries(root, lines, parser, holes, warn);
+
+        return errors.concat(warnings).sort((a, b) => (a.line || 0) - (b.line || 0));
+    }
+
+    _checkIndentation(lines, parser, warn) {
+        const expected = parser.indentType === 'tab' ? '\t' : ' ';
+        for (const line of lines) {
+            if (!line.leading) continue;
+            if (line.leading.includes('\t') && line.leading.includes(' ')) {
+                warn('mixed-indentation', 'Indentation mixes tabs and spaces', line, 1);
+            } else if (!line.leading.includes(expected)) {
+                const kind = expected === '\t' ? 'tabs' : 'spaces';
+                warn('mixed-indentation', `Indentation should use ${kind} like the rest of the document`, line, 1);
+            }
+        }
+    }
+
+    _checkEntries(container, lines, parser, holes, warn) {
+        const rules = this.rules;
+        // 块内有 @include 时，键和索引不完整，不检查重复和空洞
+        const hasInclude = lines.some(line => line.kind === 'include' && line.parent === container);
+
+        if (container.type === 'array') {
+            if (!hasInclude) {
+                this._checkIndices(container, parser, holes, warn);
+            }
+        } else if (rules['duplicate-key'] && !hasInclude) {
+            const seen = new Map();
+            for (const entry of container.children) {
+                if (seen.has(entry.key)) {
+                    warn('duplicate-key', `Duplicate key "${entry.key}" overwrites line ${seen.get(entry.key)}`, entry.line);
+                } else {
+                    seen.set(entry.key, entry.line.number);
+                }
+            }
+        }
+
+        // 超出深度的块只在第一个条目处报告一次
+        const tooDeep = rules['max-depth'] && container.depth === rules['max-depth'] && container.children[0];
+        if (tooDeep) {
+            warn('max-depth', `Nesting depth exceeds ${rules['max-depth']}`, tooDeep.line);
+        }
+
+        for (const entry of container.children) {
+            if (rules['number-like-string'] && entry.valueText && !entry.line.verbatim) {
+                mapValue(parser, entry.valueText, (kind, text) => {
+                    if (kind === 'bare' && /^[+-]?\.?\d/.test(text)) {
+                        warn('number-like-string', `Unquoted string ${text} looks like a number; quote it`, entry.line);
+                    }
+                    return text;
+                });
+            }
+            this._checkEntries(entry, lines, parser, holes, warn);
+        }
+    }
+
+    _checkIndices(container, parser, holes, warn) {
+        const defined = new Map();
+        let dashes = 0;
+
+        for (const entry of container.children) {
+            if (entry.isValue || entry.key === '-') {
+                dashes++;
+                continue;
+            }
+            if (entry.start === undefined) continue;
+
+            let overlap = null;
+            for (let i = entry.start; i <= entry.end; i++) {
+                if (defined.has(i) && !overlap) {
+                    overlap = { index: i, line: defined.get(i) };
+                }
+                defined.set(i, entry.line.number);
+            }
+            if (overlap && this.rules['overlapping-range']) {
+                warn('overlapping-range', `Index ${overlap.index} is already defined on line ${overlap.line}`, entry.line);
+            }
+        }
+
+        // holes: 'throw' 时空洞已经作为解析错误报告
+        if (!this.rules['index-gap'] || container.line === null || holes.policy === 'throw') return;
+
+        // 按 _astToObject 的规则为 - 分配索引后找出剩余的空洞
+        let next = 0;
+        const indices = new Set(defined.keys());
+        for (let i = 0; i < dashes; i++) {
+            while (indices.has(next)) next++;
+            indices.add(next++);
+        }
+
+        const length = indices.size === 0 ? 0 : Math.max(...indices) + 1;
+        const gaps = [];
+        for (let i = 0; i < length; i++) {
+            if (indices.has(i)) continue;
+            const last = gaps[gaps.length - 1];
+            if (last && last[1] === i - 1) {
+                last[1] = i;
+            } else {
+                gaps.push([i, i]);
+            }
+        }
+        if (gaps.length > 0) {
+            const list = gaps.map(([start, end]) => start === end ? start : `${start}-${end}`).join(', ');
+            const single = gaps.length === 1 && gaps[0][0] === gaps[0][1];
+            const result = holes.policy === 'sparse'
+                ? 'left empty'
+                : `filled with ${parser.stringify(parser._holeValue(holes), { compact: true })}`;
+            warn('index-gap', `${single ? 'Index' : 'Indices'} ${list} of ${container.key} ${single ? 'is' : 'are'} not defined and will be ${result}`, container.line);
+        }
+    }
+}
+
+/**
+ * 把文档切分为带位置的记号，供编辑器高亮和语言服务使用
+ *
+ * 记号为 { type, text, line, column, length }，line 和 column 从 1 开始，与 SimpleParseError 相同。
+ * 记号不跨行，跨行的 /* *\/ 注释和块字符串正文按行拆分。type 为：
+ *   comment      注释
+ *   key          对象的键，包括内联对象中的键
+ *   index        数组中的索引、区间和 -
+ *   string / number / boolean / null
+ *   tag / anchor / alias    !name / &name / *name
+ *   include      @include 关键字，其后的路径为 string
+ *   separator    多文档的 --- 分隔行
+ *   block        块字符串的 | / |- / |+ 标记
+ *   punctuation  键后的冒号，内联容器的括号和逗号
+ * 语法错误的行中无法识别的部分不产生记号
+ */
+class SimpleTokenizer {
+    constructor(options = {}) {
+        this.options = { arrayFormat: 'indexed', parser: null, ...options };
+        this.parser = this.options.parser || new SimpleParser();
+    }
+
+    tokenize(text) {
+        const parser = this.parser;
+        const { lines } = scan(parser, text, this.options.arrayFormat);
+        const tokens = [];
+
+        // 空白替换为不影响注释和字符串判断的字符后再遮盖，结果中的空格恰好是注释的位置
+        const state = { inBlock: false };
+        for (const line of lines) {
+            const comments = line.kind === 'text'
+                ? ''
+                : parser._maskComments(line.raw.replace(/[ \t]/g, '\u0001'), state);
+            const isComment = i => comments[i] === ' ';
+
+            // 记号遇到行中的 /* */ 注释时拆开，并去掉两端空白
+            const push = (type, from, to) => {
+                let start = from;
+                for (let i = from; i <= to; i++) {
+                    if (i < to && (type === 'comment' || !isComment(i))) continue;
+                    const part = line.raw.substring(start, i);
+                    const lead = part.length - part.trimStart().length;
+                    const body = part.trim();
+                    if (body) {
+                        tokens.push({ type, text: body, line: line.number, column: start + lead + 1, length: body.length });
+                    }
+                    start = i + 1;
+                }
+            };
+
+            for (let i = 0; i < comments.length; i++) {
+                if (!isComment(i)) continue;
+                let end = i;
+                while (end < comments.length && isComment(end)) end++;
+                push('comment', i, end);
+                i = end - 1;
+            }
+
+            this._tokenizeLine(line, push);
+        }
+
+        return tokens.sort((a, b) => a.line - b.line || a.column - b.column);
+    }
+
+    _tokenizeLine(line, push) {
+        const parser = this.parser;
+        const { codeStart, codeEnd, code, masked } = line;
+
+        switch (line.kind) {
+            case 'text':
+                push('string', 0, line.raw.length);
+                return;
+            case 'include':
+                push('include', codeStart, codeStart + '@include'.length);
+                push('string', codeStart + '@include'.length, codeEnd);
+                return;
+            case 'anchor':
+                push('anchor', codeStart, codeEnd);
+                return;
+            case 'entry':
+                break;
+            default:
+                return;
+        }
+
+        if (SimpleParser.SEPARATOR_PATTERN.test(code)) {
+            push('separator', codeStart, codeEnd);
+            return;
+        }
+        const entry = line.entry;
+        if (entry.isValue) {
+            this._tokenizeValue(masked, codeStart, codeEnd, push);
+            return;
+        }
+
+        const split = parser._splitKey(code);
+        if (!split) return;
+        const isIndex = entry.parent.type === 'array' && !entry.quotedKey;
+        push(isIndex ? 'index' : 'key', codeStart, codeStart + split.colon);
+        push('punctuation', codeStart + split.colon, codeStart + split.colon + 1);
+        this._tokenizeValue(masked, codeStart + split.colon + 1, codeEnd, push);
+    }
+
+    /**
+     * 按 _parseTypedValue 的语法切分 code 中 [from, to) 的值
+     */
+    _tokenizeValue(code, from, to, push) {
+        const parser = this.parser;
+        while (from < to && /\s/.test(code[from])) from++;
+        while (to > from && /\s/.test(code[to - 1])) to--;
+        if (from === to) return;
+
+        const text = code.substring(from, to);
+        const prefix = text.match(/^([&!])[A-Za-z_][\w.-]*(?=\s|$)/);
+        if (prefix) {
+            push(prefix[1] === '&' ? 'anchor' : 'tag', from, from + prefix[0].length);
+            this._tokenizeValue(code, from + prefix[0].length, to, push);
+            return;
+        }
+
+        if (/^\*[A-Za-z_][\w.-]*$/.test(text)) {
+            push('alias', from, to);
+        } else if (/^\|[+-]?$/.test(text)) {
+            push('block', from, to);
+        } else if (text === 'None') {
+            push('null', from, to);
+        } else if (text === 'true' || text === 'false') {
+            push('boolean', from, to);
+        } else if (parser._isNumber(text)) {
+            push('number', from, to);
+        } else if (parser._isQuoted(text)) {
+            push('string', from, to);
+        } else if ((text.startsWith('[') && text.endsWith(']')) || (text.startsWith('{') && text.endsWith('}'))) {
+            const isObject = text[0] === '{';
+            push('punctuation', from, from + 1);
+            for (const item of this._splitItems(code, from + 1, to - 1)) {
+                if (item.comma) {
+                    push('punctuation', item.start, item.start + 1);
+                    continue;
+                }
+                const pair = code.substring(item.start, item.end);
+                const start = item.start + pair.length - pair.trimStart().length;
+                const split = isObject ? parser._splitKey(pair.trim()) : null;
+                if (split) {
+                    push('key', start, start + split.colon);
+                    push('punctuation', start + split.colon, start + split.colon + 1);
+                    this._tokenizeValue(code, start + split.colon + 1, item.end, push);
+                } else {
+                    this._tokenizeValue(code, item.start, item.end, push);
+                }
+            }
+            push('punctuation', to - 1, to);
+        } else {
+            push('string', from, to);
+        }
+    }
+
+    /**
+     * 按 _splitByComma 的规则拆分内联容器的内容，返回各项的 { start, end } 和逗号的 { start, comma: true }
+     */
+    _splitItems(code, from, to) {
+        const items = [];
+        let start = from;
+        let depth = 0;
+        let stringChar = null;
+
+        for (let i = from; i < to; i++) {
+            const char = code[i];
+            if (stringChar) {
+                if (char === '\\') {
+                    i++;
+                } else if (char === stringChar) {
+                    stringChar = null;
+                }
+                continue;
+            }
+            if (char === '"' || char === "'") {
+                stringChar = char;
+            } else if (char === '[' || char === '{') {
+                depth++;
+            } else if (char === ']' || char === '}') {
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                items.push({ start, end: i }, { start: i, comma: true });
+                start = i + 1;
+            }
+        }
+        items.push({ start, end: to });
+        return items;
+    }
+}
+
+module.exports = { SimpleFormatter, SimpleLinter, SimpleLintWarning, SimpleTokenizer };
@@ -0,0 +1,491 @@
+const { EventEmitter } = require('events');
+const { fileURLToPath } = require('url');
+const { SimpleParser, SimpleParseError, SimpleDocument } = require('./simpleParser');
+const { SimpleFileLoader } = require('./simpleLoader');
+const { SimpleFormatter, SimpleLinter, SimpleLintWarning, SimpleTokenizer } = require('./simpleFormat');
+
+/**
+ * Simple 文件的语言服务（Language Server Protocol），通过 listen 在一对流上收发 JSON-RPC 消息
+ *
+ * 提供诊断（语法错误和代码检查）、大纲、{} / [] 块的折叠、悬停（数组条目的实际索引）、语义高亮和格式化。
+ * 文档按全文同步，位置使用 UTF-16 列，与 JavaScript 字符串的下标一致。
+ * 客户端发送 exit 时触发 exit 事件，参数为进程应使用的退出码
+ */
+
+// LSP 协议中的常量
+const SEVERITY = { error: 1, warning: 2 };
+const SYMBOL_KIND = { object: 19, array: 18, string: 15, number: 16, boolean: 17, null: 21, alias: 13, tagged: 8 };
+const ERROR_CODES = { parseError: -32700, methodNotFound: -32601, internalError: -32603 };
+
+// 语义高亮的记号类型，SimpleTokenizer 的类型映射到其中之一，punctuation 不高亮
+const TOKEN_TYPES = ['comment', 'property', 'number', 'string', 'keyword', 'type', 'variable', 'macro', 'operator'];
+const TOKEN_MODIFIERS = ['declaration'];
+const TOKEN_MAP = {
+    comment: 'comment',
+    key: 'property',
+    index: 'number',
+    string: 'string',
+    number: 'number',
+    boolean: 'keyword',
+    null: 'keyword',
+    tag: 'type',
+    anchor: 'variable',
+    alias: 'variable',
+    include: 'macro',
+    separator: 'operator',
+    block: 'operator'
+};
+
+// 方法名 -> 处理函数，请求的返回值作为结果回复，通知没有回复
+const HANDLERS = {
+    'initialize': (server, params) => server._initialize(params),
+    'initialized': () => null,
+    'shutdown': server => {
+        server._shutdown = true;
+        return null;
+    },
+    'exit': server => server.emit('exit', server._shutdown ? 0 : 1),
+    'workspace/didChangeConfiguration': (server, params) => {
+        const settings = params.settings && params.settings.simple;
+        if (settings) {
+            server.settings = { ...server.settings, ...settings };
+            // 设置可能改变解析选项，重新分析所有文档
+            for (const [uri, doc] of server.documents) {
+                doc.analysis = null;
+                server._publishDiagnostics(uri);
+            }
+        }
+    },
+    'textDocument/didOpen': (server, params) => {
+        server.open(params.textDocument.uri, params.textDocument.text, params.textDocument.version);
+    },
+    'textDocument/didChange': (server, params) => {
+        // 全文同步时最后一项就是新的全文
+        const changes = params.contentChanges;
+        server.open(params.textDocument.uri, changes[changes.length - 1].text, params.textDocument.version);
+    },
+    'textDocument/didClose': (server, params) => server.close(params.textDocument.uri),
+    'textDocument/documentSymbol': (server, params) => server.documentSymbols(params.textDocument.uri),
+    'textDocument/foldingRange': (server, params) => server.foldingRanges(params.textDocument.uri),
+    'textDocument/hover': (server, params) => server.hover(params.textDocument.uri, params.position),
+    'textDocument/semanticTokens/full': (server, params) => server.semanticTokens(params.textDocument.uri),
+    'textDocument/formatting': (server, params) => server.formatting(params.textDocument.uri, params.options)
+};
+
+class SimpleLanguageServer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        const defaultSettings = {
+            strict: true, // 按严格文法检查，才能发现 {} 下缩进错误的子元素
+            arrayFormat: 'indexed',
+            holes: 'zero', // 数组中未声明的索引，与 SimpleParser.parse 的同名选项相同
+            holeValue: 0,
+            quotes: 'double', // 格式化的引号风格，见 SimpleFormatter
+            ranges: 'preserve', // 格式化的区间写法，见 SimpleFormatter
+            rules: {} // 代码检查规则，见 SimpleLinter
+        };
+        this.settings = { ...defaultSettings, ...options.settings };
+        this.parser = options.parser || new SimpleParser();
+        this.loader = options.loader || new SimpleFileLoader();
+        this.documents = new Map(); // uri -> { text, version, file, analysis }
+        this._output = null;
+        this._shutdown = false;
+    }
+
+    // ============ 传输 ============
+
+    /**
+     * 从 input 读取带 Content-Length 头的消息，回复写入 output
+     */
+    listen(input, output) {
+        this._output = output;
+        let buffer = Buffer.alloc(0);
+
+        input.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            for (;;) {
+                const headerEnd = buffer.indexOf('\r\n\r\n');
+                if (headerEnd === -1) return;
+                const length = buffer.toString('ascii', 0, headerEnd).match(/Content-Length:\s*(\d+)/i);
+                if (!length) {
+                    // 没有长度的头无法恢复，丢弃到头结束处
+                    buffer = buffer.subarray(headerEnd + 4);
+                    continue;
+                }
+                const start = headerEnd + 4;
+                const end = start + Number(length[1]);
+                if (buffer.length < end) return;
+
+                const body = buffer.toString('utf8', start, end);
+                buffer = buffer.subarray(end);
+                let message;
+                try {
+                    message = JSON.parse(body);
+                } catch (error) {
+                    this._send({ jsonrpc: '2.0', id: null, error: { code: ERROR_CODES.parseError, message: error.message } });
+                    continue;
+                }
+                this.handle(message);
+            }
+        });
+        input.on('end', () => this.emit('exit', this._shutdown ? 0 : 1));
+    }
+
+    /**
+     * 处理一条消息，请求的回复通过 listen 的 output 发送
+     */
+    handle(message) {
+        const isRequest = message.id !== undefined && message.id !== null;
+        const handler = HANDLERS[message.method];
+        if (!handler) {
+            // 未知的通知（包括 $/ 开头的可选通知）直接忽略
+            if (isRequest) {
+                this._reply(message.id, null, { code: ERROR_CODES.methodNotFound, message: `Unknown method: ${message.method}` });
+            }
+            return;
+        }
+
+        let result = null;
+        try {
+            result = handler(this, message.params || {});
+        } catch (error) {
+            if (isRequest) {
+                this._reply(message.id, null, { code: ERROR_CODES.internalError, message: error.message });
+            }
+            return;
+        }
+        if (isRequest) {
+            this._reply(message.id, result === undefined ? null : result);
+        }
+    }
+
+    _reply(id, result, error) {
+        this._send(error ? { jsonrpc: '2.0', id, error } : { jsonrpc: '2.0', id, result });
+    }
+
+    _notify(method, params) {
+        this._send({ jsonrpc: '2.0', method, params });
+    }
+
+    _send(message) {
+        if (!this._output) return;
+        const json = JSON.stringify(message);
+        this._output.write(`Content-Length: ${Buffer.byteLength(json, 'utf8')}\r\n\r\n${json}`);
+    }
+
+    _initialize(params) {
+        if (params.initializationOptions) {
+            this.settings = { ...this.settings, ...params.initializationOptions };
+        }
+        return {
+            capabilities: {
+                textDocumentSync: 1, // 全文同步
+                documentSymbolProvider: true,
+                foldingRangeProvider: true,
+                hoverProvider: true,
+                documentFormattingProvider: true,
+                semanticTokensProvider: {
+                    legend: { tokenTypes: TOKEN_TYPES, tokenModifiers: TOKEN_MODIFIERS },
+                    full: true
+                }
+            },
+            serverInfo: { name: 'simple-lsp' }
+        };
+    }
+
+    // ============ 文档 ============
+
+    /**
+     * 打开或更新文档，并发布诊断
+     */
+    open(uri, text, version = null) {
+        let file = null;
+        if (uri.startsWith('file:')) {
+            try {
+                file = fileURLToPath(uri);
+            } catch (error) {
+                file = null;
+            }
+        }
+        this.documents.set(uri, { text, version, file, analysis: null });
+        this._publishDiagnostics(uri);
+    }
+
+    close(uri) {
+        this.documents.delete(uri);
+        // 关闭后清除该文档的诊断
+        this._notify('textDocument/publishDiagnostics', { uri, diagnostics: [] });
+    }
+
+    _publishDiagnostics(uri) {
+        const doc = this.documents.get(uri);
+        this._notify('textDocument/publishDiagnostics', { uri, version: doc.version, diagnostics: this.diagnostics(uri) });
+    }
+
+    /**
+     * 文档的记号、条目树和诊断，文本不变时复用
+     *
+     * 条目树与诊断使用同样的解析选项：strict 时两者都按严格模式的缩进规则，
+     * 诊断中被跳过的行也不出现在大纲、折叠和悬停中
+     */
+    _analyze(uri) {
+        const doc = this.documents.get(uri);
+        if (!doc) return null;
+        if (!doc.analysis) {
+            const options = this._parseOptions(doc);
+            const tokenizer = new SimpleTokenizer({ parser: this.parser, arrayFormat: options.arrayFormat });
+            const linter = new SimpleLinter({ parser: this.parser, arrayFormat: options.arrayFormat, rules: this.settings.rules });
+            const lines = doc.text.split(/\r?\n/);
+            const problems = linter.lint(doc.text, options);
+            let tree = null;
+            try {
+                // 直接建立条目树而不经 parseDocument，有语法错误时大纲和悬停仍然可用
+                tree = new SimpleDocument(doc.text, this.parser, { arrayFormat: options.arrayFormat, strict: options.strict }).root;
+            } catch (error) {
+                if (!(error instanceof SimpleParseError)) throw error;
+            }
+            doc.analysis = { tokens: tokenizer.tokenize(doc.text), lines, tree, problems };
+        }
+        return doc.analysis;
+    }
+
+    _parseOptions(doc) {
+        return {
+            arrayFormat: this.settings.arrayFormat,
+            strict: this.settings.strict,
+            holes: this.settings.holes,
+            holeValue: this.settings.holeValue,
+            filename: doc.file,
+            loader: doc.file ? this.loader : null
+        };
+    }
+
+    // ============ 功能 ============
+
+    /**
+     * 语法错误和代码检查警告，范围为出错位置所在的记号，没有记号时到行尾
+     */
+    diagnostics(uri) {
+        const doc = this.documents.get(uri);
+        if (!doc) return [];
+        const { tokens, lines, problems } = this._analyze(uri);
+
+        return problems.map(problem => ({
+            range: this._problemRange(problem, doc, tokens, lines),
+            severity: problem instanceof SimpleLintWarning ? SEVERITY.warning : SEVERITY.error,
+            code: problem.code,
+            source: 'simple',
+            message: problem.file !== null && problem.file !== doc.file
+                ? `${problem.reason} (${problem.file}, line ${problem.line})`
+                : problem.reason
+        }));
+    }
+
+    _problemRange(problem, doc, tokens, lines) {
+        // 被包含文件中的错误标在包含它的 @include 路径上
+        if (problem.file !== null && problem.file !== doc.file) {
+            const include = tokens.find((token, i) => i > 0 && tokens[i - 1].type === 'include' &&
+                tokens[i - 1].line === token.line && this._resolveInclude(token.text, doc) === problem.file);
+            return include ? this._tokenRange(include) : this._range(0, 0, 0, 0);
+        }
+        if (problem.line === null) return this._range(0, 0, 0, 0);
+
+        const line = problem.line - 1;
+        const column = problem.column - 1;
+        const token = tokens.find(item => item.line === problem.line && item.type !== 'comment' &&
+            item.column <= problem.column && problem.column < item.column + item.length);
+        if (token) return this._tokenRange(token);
+
+        const text = lines[line] || '';
+        const end = Math.max(text.trimEnd().length, column + 1);
+        return this._range(line, column, line, end);
+    }
+
+    _resolveInclude(spec, doc) {
+        const request = this.parser._isQuoted(spec) ? this.parser._parseString(spec.substring(1, spec.length - 1)) : spec;
+        try {
+            return this.loader.resolve(request, doc.file);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 大纲：每个条目一个符号，数组中的 - 和区间在 detail 中给出实际索引
+     */
+    documentSymbols(uri) {
+        const analysis = this._analyze(uri);
+        if (!analysis || !analysis.tree) return [];
+        const { lines } = analysis;
+
+        const toSymbol = (entry, container) => {
+            const isIndex = container.type === 'array' && !entry.quotedKey;
+            const start = entry.isValue ? entry.valueStart : entry.keyStart;
+            const end = entry.isValue ? entry.valueEnd : entry.keyEnd;
+            let detail = entry.type === 'object' || entry.type === 'array' ? '' : entry.valueText;
+            if (isIndex && (entry.key === '-' || entry.range)) {
+                detail = `${this._describeIndices(entry.indices)}${detail ? `: ${detail}` : ''}`;
+            }
+            return {
+                name: entry.isValue ? '-' : entry.key,
+                detail,
+                kind: SYMBOL_KIND[entry.type] || SYMBOL_KIND.tagged,
+                range: this._range(entry.line, 0, entry.endLine, lines[entry.endLine].length),
+                selectionRange: this._range(entry.line, start, entry.line, Math.max(end, start)),
+                children: this._entries(entry).map(child => toSymbol(child, entry))
+            };
+        };
+        return this._entries(analysis.tree).map(entry => toSymbol(entry, analysis.tree));
+    }
+
+    /**
+     * 条目的子条目，去掉 --- 分隔行和无法识别的行
+     */
+    _entries(container) {
+        return container.children.filter(entry => entry.isValue || entry.key !== '' || entry.quotedKey);
+    }
+
+    /**
+     * 折叠范围：有子行的 {} / [] 块
+     */
+    foldingRanges(uri) {
+        const analysis = this._analyze(uri);
+        if (!analysis || !analysis.tree) return [];
+
+        const ranges = [];
+        const visit = container => {
+            for (const entry of this._entries(container)) {
+                if ((entry.type === 'object' || entry.type === 'array') && entry.endLine > entry.line) {
+                    ranges.push({ startLine: entry.line, endLine: entry.endLine });
+                }
+                visit(entry);
+            }
+        };
+        visit(analysis.tree);
+        return ranges;
+    }
+
+    /**
+     * 悬停：条目的完整路径，数组中的 - 和区间给出实际赋值的索引
+     */
+    hover(uri, position) {
+        const analysis = this._analyze(uri);
+        if (!analysis || !analysis.tree) return null;
+
+        // 找出该行上最深的条目
+        let found = null;
+        const visit = container => {
+            for (const entry of this._entries(container)) {
+                if (entry.line === position.line) {
+                    found = entry;
+                } else if (entry.line < position.line && position.line <= entry.endLine) {
+                    visit(entry);
+                }
+            }
+        };
+        visit(analysis.tree);
+        if (!found) return null;
+
+        const isIndex = entry => entry.parent.type === 'array' && !entry.quotedKey;
+        const keys = [];
+        for (let entry = found; entry.parent; entry = entry.parent) {
+            keys.unshift(isIndex(entry) && entry.indices.length > 0 ? entry.indices[0] : entry.key);
+        }
+
+        // 区间的路径写为 key[a-b]
+        const path = isIndex(found) && found.range
+            ? `${this.parser._formatPath(keys.slice(0, -1))}[${found.range[0]}-${found.range[1]}]`
+            : this.parser._formatPath(keys);
+
+        const lines = [`**${path}**`];
+        if (isIndex(found) && (found.key === '-' || found.range)) {
+            lines.push(`${found.key === '-' ? 'Fills' : 'Sets'} ${this._describeIndices(found.indices)}`);
+        }
+        lines.push(`Type: ${found.type}`);
+
+        const start = found.isValue ? found.valueStart : found.keyStart;
+        const end = found.isValue ? found.valueEnd : found.keyEnd;
+        return {
+            contents: { kind: 'markdown', value: lines.join('\n\n') },
+            range: this._range(found.line, start, found.line, Math.max(end, start))
+        };
+    }
+
+    _describeIndices(indices) {
+        if (indices.length === 0) return 'no index';
+        if (indices.length === 1) return `index ${indices[0]}`;
+        // 区间较长时只给出首尾
+        const list = indices.length > 8 ? `${indices[0]} to ${indices[indices.length - 1]}` : indices.join(', ');
+        return `indices ${list}`;
+    }
+
+    /**
+     * 语义高亮，按 LSP 的相对位置编码
+     */
+    semanticTokens(uri) {
+        const analysis = this._analyze(uri);
+        if (!analysis) return null;
+
+        const data = [];
+        let previousLine = 0;
+        let previousColumn = 0;
+        for (const token of analysis.tokens) {
+            const type = TOKEN_MAP[token.type];
+            if (!type) continue;
+            const line = token.line - 1;
+            const column = token.column - 1;
+            data.push(
+                line - previousLine,
+                line === previousLine ? column - previousColumn : column,
+                token.length,
+                TOKEN_TYPES.indexOf(type),
+                token.type === 'anchor' ? 1 : 0
+            );
+            previousLine = line;
+            previousColumn = column;
+        }
+        return { data };
+    }
+
+    /**
+     * 格式化整个文档，有语法错误时不做修改
+     */
+    formatting(uri, options = {}) {
+        const doc = this.documents.get(uri);
+        if (!doc) return null;
+
+        const formatter = new SimpleFormatter({
+            indent: options.insertSpaces === false ? 1 : options.tabSize || 2,
+            indentChar: options.insertSpaces === false ? '\t' : ' ',
+            quotes: this.settings.quotes,
+            ranges: this.settings.ranges,
+            arrayFormat: this.settings.arrayFormat,
+            parser: this.parser
+        });
+        let text;
+        try {
+            text = formatter.format(doc.text, this._parseOptions(doc));
+        } catch (error) {
+            if (!(error instanceof SimpleParseError)) throw error;
+            return null;
+        }
+        if (text === doc.text) return [];
+
+        const { lines } = this._analyze(uri);
+        const last = lines.length - 1;
+        return [{ range: this._range(0, 0, last, lines[last].length), newText: text }];
+    }
+
+    _tokenRange(token) {
+        return this._range(token.line - 1, token.column - 1, token.line - 1, token.column - 1 + token.length);
+    }
+
+    _range(startLine, startCharacter, endLine, endCharacter) {
+        return {
+            start: { line: startLine, character: startCharacter },
+            end: { line: endLine, character: endCharacter }
+        };
+    }
+}
+
+module.exports = { SimpleLanguageServer };
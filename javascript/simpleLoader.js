@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @include 的加载器
+ *
+ * 加载器需要实现两个同步方法：
+ *   resolve(request, from)  把包含路径解析为文件标识，from 为包含它的文件（主文档未指定文件名时为 null）
+ *   load(file)              返回文件内容，找不到时抛出错误
+ *
+ * 文件标识用于循环检测和错误信息，同一文件必须解析为同一标识。
+ * 可选的 signature(file) 返回文件当前版本的标识（如修改时间和大小），SimpleConfig 据此判断缓存是否有效；
+ * 没有该方法的加载器，包含了其他文件的配置每次加载都重新解析
+ */
+
+/**
+ * 从文件系统读取，相对路径基于包含它的文件所在目录
+ */
+class SimpleFileLoader {
+    constructor(options = {}) {
+        this.baseDir = options.baseDir || process.cwd(); // 主文档没有文件名时的相对路径基准
+        this.encoding = options.encoding || 'utf8';
+    }
+
+    resolve(request, from) {
+        return path.resolve(from ? path.dirname(from) : this.baseDir, request);
+    }
+
+    load(file) {
+        return fs.readFileSync(file, this.encoding);
+    }
+
+    signature(file) {
+        const stat = fs.statSync(file);
+        return `${stat.mtimeMs}:${stat.size}`;
+    }
+}
+
+/**
+ * 从内存中的 { 路径: 内容 } 读取，路径统一按 / 分隔，适合测试和浏览器环境
+ */
+class SimpleMemoryLoader {
+    constructor(files = {}) {
+        this.files = new Map();
+        const entries = files instanceof Map ? files.entries() : Object.entries(files);
+        for (const [name, text] of entries) {
+            this.files.set(SimpleMemoryLoader._normalize(name), text);
+        }
+    }
+
+    resolve(request, from) {
+        const base = from ? path.posix.dirname(SimpleMemoryLoader._normalize(from)) : '/';
+        return path.posix.resolve(base, request);
+    }
+
+    load(file) {
+        if (!this.files.has(file)) {
+            throw new Error(`File not found: ${file}`);
+        }
+        return this.files.get(file);
+    }
+
+    static _normalize(name) {
+        return path.posix.resolve('/', name);
+    }
+}
+
+module.exports = { SimpleFileLoader, SimpleMemoryLoader };
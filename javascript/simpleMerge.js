@@ -0,0 +1,220 @@
+const { SimpleParser } = require('./simpleParser');
+
+/**
+ * 分层合并配置：merge(base, env, local) 或 merge(base, env, local, mergeOptions(options))
+ *
+ * 每一层可以是对象或 Simple 文本，后面的层覆盖前面的层。
+ * 文本按 holes: 'sparse' 解析，未声明的索引不会覆盖下层的值，合并完成后再按 holes 选项填充。
+ *
+ * 策略（options.strategies 中按路径指定，路径可以使用通配符，如 servers.*.tags）：
+ *   merge    对象逐键深度合并（对象的默认策略）；用于数组时与 index 相同
+ *   replace  整体替换（数组的默认策略，可由 options.arrays 修改）
+ *   append   数组追加到下层数组之后
+ *   index    数组按索引合并，只改动上层声明的索引，如覆盖层中的 5-6: 1
+ *
+ * 值为 !delete（SimpleParser.DELETE）时删除继承的键
+ */
+
+const parser = new SimpleParser();
+
+const STRATEGIES = ['merge', 'replace', 'append', 'index'];
+
+/**
+ * 合并选项，用 mergeOptions() 创建
+ */
+class MergeOptions {
+    constructor(options = {}) {
+        this.options = options;
+    }
+}
+
+/**
+ * 包装合并选项。层本身就可以是普通对象，无法从形状上区分选项和最后一层，
+ * 所以选项必须经过包装：merge(base, local, mergeOptions({ arrays: 'append' }))，
+ * 而 merge(base, { arrays: 'append' }) 只是合并了一个含 arrays 键的层
+ */
+function mergeOptions(options = {}) {
+    return new MergeOptions(options);
+}
+
+/**
+ * merge(...docs, options)：每个参数都是一层，最后一个参数是 mergeOptions() 的结果时作为选项：
+ *   strategies    { 路径: 策略 }，多个路径匹配时后写的优先
+ *   arrays        数组的默认策略，默认 'replace'
+ *   report        为 true 时返回 { value, origins }，origins 为 { 路径: 层 }，记录每个叶子值来自哪一层
+ *   names         层的名称，用于 origins，默认为层的序号
+ *   parseOptions  解析文本层时的选项
+ */
+function merge(...docs) {
+    const options = docs[docs.length - 1] instanceof MergeOptions ? docs.pop().options : {};
+    const {
+        strategies = {},
+        arrays = 'replace',
+        report = false,
+        names = null,
+        parseOptions = {}
+    } = options;
+
+    const rules = [];
+    for (const [path, strategy] of Object.entries(strategies)) {
+        checkStrategy(strategy, path);
+        rules.push({ segments: SimpleParser.parsePath(path), strategy });
+    }
+    checkStrategy(arrays, 'arrays');
+
+    const context = { rules, arrays, origins: report ? new Map() : null, layer: null };
+    let result;
+    docs.forEach((doc, i) => {
+        // 复制每一层，合并时可以直接修改
+        const layer = typeof doc === 'string'
+            ? parser.parse(doc, { ...parseOptions, holes: 'sparse' })
+            : parser._cloneTree(doc);
+        context.layer = names ? names[i] : i;
+        result = mergeValue(result, layer, [], context);
+    });
+
+    result = finish(result, { policy: parseOptions.holes || 'zero', value: parseOptions.holeValue }, []);
+    if (!report) return result;
+
+    const origins = {};
+    for (const { keys, layer } of context.origins.values()) {
+        origins[keys.length > 0 ? parser._formatPath(keys) : ''] = layer;
+    }
+    return { value: result, origins };
+}
+
+function mergeValue(target, source, keys, context) {
+    if (source === SimpleParser.DELETE) {
+        forget(keys, context);
+        return SimpleParser.DELETE;
+    }
+
+    const strategy = strategyFor(keys, context);
+
+    if (parser._isPlainObject(source) && parser._isPlainObject(target) && strategy !== 'replace') {
+        for (const key of Object.keys(source)) {
+            // 只读取自有的键，__proto__ 等键不会取到或改写原型
+            const current = Object.prototype.hasOwnProperty.call(target, key) ? target[key] : undefined;
+            const value = mergeValue(current, source[key], keys.concat(key), context);
+            if (value === SimpleParser.DELETE) {
+                delete target[key];
+            } else {
+                parser._define(target, key, value);
+            }
+        }
+        return target;
+    }
+
+    if (Array.isArray(source) && Array.isArray(target)) {
+        const arrayStrategy = strategy || context.arrays;
+        if (arrayStrategy === 'append') {
+            source.forEach(item => {
+                if (item !== SimpleParser.DELETE) {
+                    record(item, keys.concat(target.length), context);
+                    target.push(item);
+                }
+            });
+            return target;
+        }
+        if (arrayStrategy === 'index' || arrayStrategy === 'merge') {
+            source.forEach((item, i) => {
+                const value = mergeValue(target[i], item, keys.concat(i), context);
+                if (value === SimpleParser.DELETE) {
+                    delete target[i];
+                } else {
+                    target[i] = value;
+                }
+            });
+            return target;
+        }
+    }
+
+    // 整体替换：先清除旧值的来源记录
+    forget(keys, context);
+    record(source, keys, context);
+    return source;
+}
+
+function strategyFor(keys, context) {
+    let strategy = null;
+    for (const rule of context.rules) {
+        if (matches(rule.segments, keys)) {
+            strategy = rule.strategy;
+        }
+    }
+    return strategy;
+}
+
+function matches(segments, keys) {
+    if (segments.length !== keys.length) return false;
+    return segments.every((segment, i) => {
+        const key = keys[i];
+        switch (segment.type) {
+            case 'wildcard': return true;
+            case 'index': return key === segment.index;
+            case 'range': return typeof key === 'number' && key >= segment.start && key <= segment.end;
+            default: return String(key) === segment.key;
+        }
+    });
+}
+
+/**
+ * 记录 value 中每个叶子值来自当前层
+ */
+function record(value, keys, context) {
+    if (!context.origins || value === SimpleParser.DELETE) return;
+
+    const isContainer = Array.isArray(value) || parser._isPlainObject(value);
+    if (isContainer && Object.keys(value).length > 0) {
+        for (const key of Object.keys(value)) {
+            record(value[key], keys.concat(Array.isArray(value) ? Number(key) : key), context);
+        }
+    } else {
+        context.origins.set(keys.join('\u0000'), { keys, layer: context.layer });
+    }
+}
+
+function forget(keys, context) {
+    if (!context.origins) return;
+
+    const prefix = keys.join('\u0000');
+    for (const id of context.origins.keys()) {
+        if (keys.length === 0 || id === prefix || id.startsWith(`${prefix}\u0000`)) {
+            context.origins.delete(id);
+        }
+    }
+}
+
+/**
+ * 移除没有可删除对象的 !delete，并按 holes 选项处理数组空洞
+ */
+function finish(value, holes, keys) {
+    if (value === SimpleParser.DELETE) return undefined;
+
+    if (Array.isArray(value)) {
+        value.forEach((item, i) => {
+            value[i] = finish(item, holes, keys.concat(i));
+        });
+        const missing = parser._fillHoles(value, holes);
+        if (missing.length > 0) {
+            throw new Error(`${missing.length > 1 ? 'Indices' : 'Index'} ${parser._formatIndices(missing)} of ${parser._formatPath(keys)} ${missing.length > 1 ? 'are' : 'is'} not defined in any layer`);
+        }
+    } else if (parser._isPlainObject(value)) {
+        for (const key of Object.keys(value)) {
+            if (value[key] === SimpleParser.DELETE) {
+                delete value[key];
+            } else {
+                value[key] = finish(value[key], holes, keys.concat(key));
+            }
+        }
+    }
+    return value;
+}
+
+function checkStrategy(strategy, path) {
+    if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown merge strategy for ${path}: ${strategy}`);
+    }
+}
+
+module.exports = { merge, mergeOptions, MergeOptions };
@@ -1,48 +1,611 @@
+/**
+ * 解析错误，携带原始文本中的行列位置、源码片段和错误码
+ */
+class SimpleParseError extends Error {
+    constructor(message, { code = 'E_SYNTAX', line = null, column = null, source = null, file = null, document = null } = {}) {
+        super(SimpleParseError.formatMessage(message, file, line, column, document));
+        this.name = 'SimpleParseError';
+        this.code = code;
+        this.reason = message;
+        this.line = line;
+        this.column = column;
+        this.source = source;
+        this.file = file;
+        this.document = document; // parseAll 中出错文档的序号，从 1 开始
+        this.snippet = source === null ? null : SimpleParseError.formatSnippet(source, line, column);
+    }
+
+    /**
+     * 在消息后附加位置，来自被包含文件的错误同时给出文件名，多文档中的错误给出文档序号
+     */
+    static formatMessage(message, file, line, column, document = null) {
+        const parts = [];
+        if (document !== null) parts.push(`document ${document}`);
+        if (file !== null) parts.push(file);
+        if (line !== null) parts.push(`line ${line}, column ${column}`);
+        return parts.length > 0 ? `${message} (${parts.join(', ')})` : message;
+    }
+
+    /**
+     * 生成带行号和 ^ 指示符的源码片段
+     */
+    static formatSnippet(source, line, column) {
+        const gutter = ' '.repeat(String(line).length);
+        // 保留制表符，使指示符与原文对齐
+        const pad = source.substring(0, Math.max(0, column - 1)).replace(/[^\t]/g, ' ');
+        return `${line} | ${source}\n${gutter} | ${pad}^`;
+    }
+}
+
+/**
+ * 内联值中的锚点（&name 值）和别名（*name）占位，在 _astToObject 中按文档顺序解析
+ */
+class SimpleReference {
+    constructor(kind, name, value) {
+        this.kind = kind; // 'anchor' 或 'alias'
+        this.name = name;
+        this.value = value;
+    }
+}
+
+/**
+ * 分层合并中删除继承的键，写作 !delete，见 simpleMerge.js
+ */
+class SimpleDeleteMarker {
+    toString() {
+        return '!delete';
+    }
+}
+
 class SimpleParser {
     constructor() {
         this.indentType = null; // 'space' 或 'tab'
         this.indentSize = null;
         this.outerParsed = false;
+
+        // 类型标签 !name，后注册的优先匹配
+        this.tags = new Map(Object.entries(SimpleParser.builtinTags));
+    }
+
+    /**
+     * 注册类型标签
+     * handler.test(value) 判断是否由该标签序列化，
+     * handler.serialize(value) 返回字符串或普通数组/对象，
+     * handler.deserialize(data) 还原值；标量载荷总是以字符串传入，不做数值转换
+     */
+    registerTag(name, handler) {
+        if (!/^[A-Za-z_][\w.-]*$/.test(name)) {
+            throw new Error(`Invalid tag name: ${name}`);
+        }
+        // 删除后重新插入，使其排在最后、优先匹配
+        this.tags.delete(name);
+        this.tags.set(name, handler);
+        return this;
     }
 
     /**
      * 解析 Simple 字符串为 JavaScript 对象
      */
     parse(simpleStr, options = {}) {
+        options = this._parseOptions(options);
+        this._beginParse(simpleStr, options);
+        const documents = this._splitDocuments(simpleStr);
+        this._errors = [];
+
+        // 只接受单个文档，后面的文档报告错误后忽略
+        if (documents.length > 1) {
+            this._report(this._error('E_MULTIPLE_DOCUMENTS',
+                'Unexpected document separator, use parseAll for multiple documents', documents[1].separator));
+        }
+        return this._parseLines(documents.length > 0 ? documents[0] : { lines: [], start: 1, end: 0 }, options, null);
+    }
+
+    /**
+     * 解析以 --- 分隔的多个文档，返回每个文档的解析结果（与 parse 的返回值相同）组成的数组
+     *
+     * 第一个 --- 之前没有内容时不算作文档，因此每个文档都可以以 --- 开头，便于追加写入。
+     * 每个文档独立检测缩进，锚点和 ${path} 引用也只在文档内有效。
+     * options.lazy 为 true 时返回迭代器，每次迭代才解析下一个文档
+     */
+    parseAll(simpleStr, options = {}) {
+        const documents = this._iterateDocuments(simpleStr, this._parseOptions(options));
+        return options.lazy ? documents : Array.from(documents);
+    }
+
+    *_iterateDocuments(simpleStr, options) {
+        const state = this._beginParse(simpleStr, options);
+        const documents = this._splitDocuments(simpleStr);
+        try {
+            for (let i = 0; i < documents.length; i++) {
+                // 迭代之间实例可能被用于其他解析，每个文档前恢复状态
+                Object.assign(this, state);
+                this._errors = [];
+                yield this._parseLines(documents[i], options, i + 1);
+            }
+        } finally {
+            this._document = null;
+        }
+    }
+
+    _parseOptions(options) {
         const defaultOptions = {
-            arrayFormat: 'indexed' // 'indexed' 或 'values'
+            arrayFormat: 'indexed', // 'indexed' 或 'values'
+            recover: false, // 为 true 时收集全部错误并返回 { value, errors }
+            reviver: null, // (key, value, path) => newValue，与 JSON.parse 的 reviver 相同
+            schema: null, // SimpleSchema 实例、Schema 的 Simple 文本或定义对象，在 reviver 之后校验并填充默认值
+            filename: null, // 当前文档的文件名，用于解析相对的 @include 路径和错误信息
+            loader: null, // @include 使用的加载器，见 simpleLoader.js
+            interpolate: false, // 为 true 时解析 ${path} 引用和 ${env:NAME:-default}，在 reviver 之后、schema 之前进行
+            env: {}, // ${env:NAME} 查找的环境变量对象，如 process.env
+            // 数组中未声明的索引：'zero' 填充 0；'null' 填充 None；'fill' 填充 holeValue；
+            // 'sparse' 保留为空洞；'throw' 报告 E_ARRAY_HOLE 错误
+            holes: 'zero',
+            holeValue: 0,
+            strict: false // 按 _checkLexical 前的文法严格检查缩进、括号、字符串和注释
         };
         options = { ...defaultOptions, ...options };
+        this._checkHoles(options.holes);
+        options.schema = this._resolveSchema(options.schema);
+        return options;
+    }
+
+    /**
+     * 把 schema 选项统一为 SimpleSchema 实例，文本和定义对象在解析前编译一次
+     */
+    _resolveSchema(schema) {
+        if (!schema || typeof schema.validate === 'function') {
+            return schema;
+        }
+        // simpleSchema.js 依赖本模块，在使用时再加载
+        const { SimpleSchema } = require('./simpleSchema');
+        if (typeof schema === 'string') {
+            return SimpleSchema.parse(schema);
+        }
+        if (this._isPlainObject(schema)) {
+            return new SimpleSchema(schema);
+        }
+        throw new TypeError('The schema option must be a SimpleSchema, Simple text or a schema definition object');
+    }
+
+    /**
+     * 设置一次解析中各文档共享的状态，返回这些状态供 _iterateDocuments 恢复
+     */
+    _beginParse(simpleStr, options) {
+        // 主文档的文件名也经加载器规范化，使循环检测能识别回到主文档的包含
+        const file = options.filename && options.loader
+            ? options.loader.resolve(options.filename, null)
+            : options.filename;
+        // 错误定位需要原始行，被包含的文件按文件名分别保存
+        const sourceLines = simpleStr.split('\n').map(line => line.replace(/\r$/, ''));
+
+        const state = {
+            _sourceLines: sourceLines,
+            _file: file,
+            _sources: new Map([[file, sourceLines]]),
+            _loader: options.loader,
+            _includeStack: [file],
+            _recover: options.recover,
+            _reviver: typeof options.reviver === 'function' ? options.reviver : null,
+            _holes: { policy: options.holes, value: options.holeValue }
+        };
+        Object.assign(this, state);
+        return state;
+    }
+
+    /**
+     * 处理注释和多行字符串后按 --- 行拆分为文档
+     * separator 为文档前分隔行的位置，start / end 为文档在原文中的首末行号
+     */
+    _splitDocuments(simpleStr) {
+        const lines = this._processMultilineStrings(this._removeComments(this._expandBlockStrings(simpleStr)));
+        const documents = [{ lines: [], separator: null, start: 1, end: this._sourceLines.length }];
+        for (const line of lines) {
+            if (SimpleParser.SEPARATOR_PATTERN.test(line.text)) {
+                documents[documents.length - 1].end = line.line - 1;
+                documents.push({
+                    lines: [],
+                    separator: { line: line.line, column: 1, file: this._file },
+                    start: line.line + 1,
+                    end: this._sourceLines.length
+                });
+            } else {
+                documents[documents.length - 1].lines.push(line);
+            }
+        }
+
+        // 第一个分隔行之前的空白不是文档
+        if (documents[0].lines.length === 0) {
+            documents.shift();
+        }
+        return documents;
+    }
+
+    /**
+     * 解析 _splitDocuments 拆出的一个文档，document 为多文档中的序号
+     */
+    _parseLines({ lines, start, end }, options, document) {
+        this._document = document;
+        this._anchors = new Map();
+        // 校验和插值错误需要从数据路径找回源码行，simpleConvert 也借此把注释放回条目之前
+        this._locations = new Map();
+
+        if (options.strict) {
+            this._checkLexical(this._sourceLines.slice(start - 1, end), start);
+        }
+
+        // 解析为 AST，只有一个内联值的文档（compact 形式）以该值为根
+        const ast = this._parseCompact(lines, options) || this._linesToAst(lines, options);
 
-        // 处理注释和多行字符串
-        const processed = this._removeComments(simpleStr);
-        const lines = this._processMultilineStrings(processed);
+        // 转换为对象，最后以空键对根值调用 reviver
+        const root = { '': this._astToObject(ast) };
+        this._reviveProperty(root, '', []);
+        let value = root[''];
+
+        if (options.interpolate) {
+            value = this._interpolate(value, options.env);
+        }
 
-        // 解析为 AST
-        const ast = this._linesToAst(lines, options);
+        if (options.schema) {
+            const result = options.schema.validate(value, { locate: path => this._locate(path) });
+            value = result.value;
+            for (const error of result.errors) {
+                this._report(error);
+            }
+        }
 
-        // 转换为对象
-        return this._astToObject(ast);
+        if (options.recover) {
+            return { value, errors: this._errors };
+        }
+        return value;
     }
 
     /**
      * 将 JavaScript 对象序列化为 Simple 字符串
+     *
+     * 标量按 _parseTypedValue 中的语法输出，对任何 JSON 兼容的对象，
+     * parse(stringify(obj)) 与 obj 深度相等（NaN、Infinity、-0 同样适用）
+     *
+     * 与 JSON.stringify 相同，值为 undefined、函数或 symbol 的键不写出，数组中的这些值写为 None，
+     * 根值是它们时抛出 TypeError。没有注册标签的类实例按自身可枚举属性写为普通对象，读回时是普通对象
      */
     stringify(obj, options = {}) {
         const defaultOptions = {
             indent: 2,
             indentChar: ' ',
-            compact: false,
-            arrayFormat: 'indexed' // 'indexed' 或 'values'
+            compact: false, // 为 true 时整个值写为一行嵌套的内联 {...} / [...]，parse 可以直接读回
+            arrayFormat: 'indexed', // 'indexed' 或 'values'
+            replacer: null, // 函数 (key, value, path) 或对象键白名单数组，与 JSON.stringify 相同
+            references: 'anchor', // 'anchor'：共享和循环引用写为 &name / *name；'throw'：遇到循环时抛出
+            interpolate: false, // 为 true 时字符串中的 ${ 写为 $${，与 parse 的同名选项对应
+            // 为 true 时数组中等于填充值的元素不写出，填充值由 holes / holeValue 决定，与 parse 的同名选项对应；
+            // 数组的空洞总是不写出，最后一个元素总是写出以保留长度（是空洞时写为填充值）
+            sparse: false,
+            holes: 'zero',
+            holeValue: 0,
+            blockStrings: 40 // 含换行且不短于此长度的字符串写为 | 块字符串，false 时不使用
         };
         options = { ...defaultOptions, ...options };
+        this._checkHoles(options.holes);
 
-        this.outerParsed = false;
-        return this._objectToSimple(obj, 0, options);
+        // 先应用 replacer，区间合并基于替换后的值
+        if (options.replacer) {
+            obj = this._applyReplacer(options.replacer, { '': obj }, '', obj, []);
+            if (obj === undefined) return '';
+        }
+        if (this._isOmitted(obj)) {
+            throw new TypeError(`Cannot stringify a value of type ${typeof obj}`);
+        }
+
+        // 块形式的文档以对象为根，其他根值写为一行，parse 按 compact 文档读回
+        if (!this._isPlainObject(obj)) {
+            options.compact = true;
+        }
+
+        this._refNames = new Map();
+        this._emitted = new Set();
+        if (options.references === 'throw') {
+            this._checkCycles(obj, [], []);
+        } else {
+            let count = 0;
+            for (const shared of this._collectShared(obj)) {
+                this._refNames.set(shared, `ref${++count}`);
+            }
+        }
+
+        try {
+            this.outerParsed = false;
+            return this._objectToSimple(obj, 0, options);
+        } finally {
+            this._refNames = null;
+            this._emitted = null;
+        }
+    }
+
+    /**
+     * 将多个对象序列化为以 --- 分隔的多文档字符串，每个文档都以 --- 开头，与 parseAll 对应
+     */
+    stringifyAll(docs, options = {}) {
+        return Array.from(docs, doc => `---\n${this.stringify(doc, options)}`).join('\n');
+    }
+
+    /**
+     * 解析为保留注释和格式的可编辑文档，见 SimpleDocument
+     */
+    parseDocument(simpleStr, options = {}) {
+        const documentOptions = {
+            arrayFormat: options.arrayFormat || 'indexed',
+            filename: options.filename || null,
+            loader: options.loader || null,
+            interpolate: options.interpolate === true,
+            env: options.env || {},
+            strict: options.strict === true
+        };
+
+        // 先按普通解析检查语法错误
+        this.parse(simpleStr, documentOptions);
+        return new SimpleDocument(simpleStr, this, documentOptions);
+    }
+
+    // ============ 路径访问 ============
+
+    /**
+     * 解析路径为段数组，段为 { type: 'key', key }、{ type: 'index', index }、
+     * { type: 'range', start, end } 或 { type: 'wildcard' }
+     *
+     * 语法：teacher.student_ids[2]、a["x.y"] 或 a."x.y"（含点的键）、test[1-3]、servers.*.port
+     * 也接受键数组，其中的数字作为索引；空字符串表示根
+     */
+    static parsePath(path) {
+        if (Array.isArray(path)) {
+            return path.map(key => typeof key === 'number' ? { type: 'index', index: key } : { type: 'key', key: String(key) });
+        }
+
+        const segments = [];
+        const fail = (message, i) => {
+            throw new SimpleParseError(`Invalid path "${path}": ${message} at position ${i + 1}`, { code: 'E_INVALID_PATH' });
+        };
+        // 从 i 开始读取带引号的键，返回 [键, 结束位置]
+        const readQuoted = i => {
+            const quote = path[i];
+            let j = i + 1;
+            while (j < path.length && path[j] !== quote) {
+                j += path[j] === '\\' ? 2 : 1;
+            }
+            if (j >= path.length) fail('unterminated quoted key', i);
+            return [SimpleParser.prototype._parseString(path.substring(i + 1, j)), j + 1];
+        };
+
+        let i = 0;
+        let expectKey = true;
+        while (i < path.length) {
+            const char = path[i];
+            if (char === '[') {
+                const close = path[i + 1] === '"' || path[i + 1] === "'" ? readQuoted(i + 1) : null;
+                if (close) {
+                    if (path[close[1]] !== ']') fail('expected ]', close[1]);
+                    segments.push({ type: 'key', key: close[0] });
+                    i = close[1] + 1;
+                } else {
+                    const end = path.indexOf(']', i);
+                    if (end === -1) fail('expected ]', i);
+                    const body = path.substring(i + 1, end).trim();
+                    const range = body.match(/^(\d+)\s*-\s*(\d+)$/);
+                    if (body === '*') {
+                        segments.push({ type: 'wildcard' });
+                    } else if (/^\d+$/.test(body)) {
+                        segments.push({ type: 'index', index: Number(body) });
+                    } else if (range && Number(range[1]) <= Number(range[2])) {
+                        segments.push({ type: 'range', start: Number(range[1]), end: Number(range[2]) });
+                    } else {
+                        fail(`invalid index [${body}]`, i);
+                    }
+                    i = end + 1;
+                }
+                expectKey = false;
+            } else if (char === '.' && !expectKey) {
+                i++;
+                expectKey = true;
+                if (i >= path.length) fail('expected a key', i);
+            } else if (expectKey) {
+                if (char === '"' || char === "'") {
+                    const [key, end] = readQuoted(i);
+                    segments.push({ type: 'key', key });
+                    i = end;
+                } else {
+                    let end = i;
+                    while (end < path.length && !'.[]"\''.includes(path[end])) end++;
+                    if (end === i) fail(`unexpected "${char}"`, i);
+                    const key = path.substring(i, end);
+                    segments.push(key === '*' ? { type: 'wildcard' } : { type: 'key', key });
+                    i = end;
+                }
+                expectKey = false;
+            } else {
+                fail(`unexpected "${char}"`, i);
+            }
+        }
+        return segments;
+    }
+
+    /**
+     * 读取路径上的值，不存在时返回 undefined；含区间或通配符的路径返回所有匹配值的数组
+     */
+    static get(obj, path) {
+        const segments = SimpleParser.parsePath(path);
+        const matches = SimpleParser._match(obj, segments, 0, [], null, null);
+        if (segments.some(segment => segment.type === 'range' || segment.type === 'wildcard')) {
+            return matches.map(match => match.value);
+        }
+        return matches.length > 0 ? matches[0].value : undefined;
+    }
+
+    /**
+     * 路径是否存在；区间要求每个索引都存在，通配符要求至少有一个匹配
+     */
+    static has(obj, path) {
+        return SimpleParser._has(obj, SimpleParser.parsePath(path), 0);
+    }
+
+    /**
+     * 设置路径上的值，缺少的中间层按下一段创建为 {} 或 []；区间和通配符的每个位置都设为同一个值
+     */
+    static set(obj, path, value) {
+        const segments = SimpleParser.parsePath(path);
+        if (segments.length === 0) {
+            throw new Error('Cannot replace the root value');
+        }
+        SimpleParser._checkSegments(segments);
+        SimpleParser._set(obj, segments, 0, [], value);
+        return obj;
+    }
+
+    /**
+     * 删除路径上的值，数组元素被移除而不是留下空洞；返回是否删除了任何值
+     */
+    static delete(obj, path) {
+        const segments = SimpleParser.parsePath(path);
+        if (segments.length === 0) {
+            throw new Error('Cannot delete the root value');
+        }
+        SimpleParser._checkSegments(segments);
+
+        // 倒序删除，同一数组中靠后的索引先移除，前面的索引不受影响
+        const matches = SimpleParser._match(obj, segments, 0, [], null, null);
+        for (const { holder, key } of matches.reverse()) {
+            if (Array.isArray(holder)) {
+                holder.splice(key, 1);
+            } else {
+                delete holder[key];
+            }
+        }
+        return matches.length > 0;
+    }
+
+    /**
+     * 返回所有匹配的 { path, keys, value }，path 可以再传给 get / set
+     */
+    static query(obj, path) {
+        const parser = SimpleParser.prototype;
+        return SimpleParser._match(obj, SimpleParser.parsePath(path), 0, [], null, null)
+            .map(({ keys, value }) => ({ path: parser._formatPath(keys), keys, value }));
+    }
+
+    /**
+     * 一段路径在容器中选中的键，数组的键为数字索引
+     */
+    static _selectKeys(container, segment) {
+        if (container === null || typeof container !== 'object') return [];
+
+        const isArray = Array.isArray(container);
+        switch (segment.type) {
+            case 'wildcard':
+                return isArray ? container.map((item, i) => i).filter(i => i in container) : Object.keys(container);
+            case 'range': {
+                const keys = [];
+                for (let i = segment.start; i <= segment.end; i++) keys.push(i);
+                return keys;
+            }
+            case 'index':
+                return [segment.index];
+            default:
+                return [isArray && /^\d+$/.test(segment.key) ? Number(segment.key) : segment.key];
+        }
+    }
+
+    static _match(value, segments, i, keys, holder, key) {
+        if (i === segments.length) {
+            return [{ keys, value, holder, key }];
+        }
+
+        const matches = [];
+        for (const childKey of SimpleParser._selectKeys(value, segments[i])) {
+            if (Object.prototype.hasOwnProperty.call(value, childKey)) {
+                matches.push(...SimpleParser._match(value[childKey], segments, i + 1, keys.concat(childKey), value, childKey));
+            }
+        }
+        return matches;
+    }
+
+    static _has(value, segments, i) {
+        if (i === segments.length) return true;
+
+        const childKeys = SimpleParser._selectKeys(value, segments[i]);
+        const exists = childKey => Object.prototype.hasOwnProperty.call(value, childKey) &&
+            SimpleParser._has(value[childKey], segments, i + 1);
+        return segments[i].type === 'wildcard'
+            ? childKeys.some(exists)
+            : childKeys.length > 0 && childKeys.every(exists);
+    }
+
+    static _set(target, segments, i, keys, value) {
+        if (target === null || typeof target !== 'object') {
+            throw new Error(`Cannot set a property of ${SimpleParser.prototype._formatPath(keys)}: not an object or array`);
+        }
+
+        const last = i === segments.length - 1;
+        for (const key of SimpleParser._selectKeys(target, segments[i])) {
+            // 通配符选中的键来自数据本身，同样要检查
+            SimpleParser._checkKey(key);
+            if (last) {
+                target[key] = value;
+                continue;
+            }
+            // 只进入自身的属性，继承来的值（如 toString）按缺少处理
+            if (!Object.prototype.hasOwnProperty.call(target, key) || target[key] === undefined) {
+                const next = segments[i + 1];
+                target[key] = next.type === 'index' || next.type === 'range' ? [] : {};
+            }
+            SimpleParser._set(target[key], segments, i + 1, keys.concat(key), value);
+        }
+    }
+
+    /**
+     * 拒绝 __proto__、constructor 和 prototype 段，来自配置或补丁的路径不能借此改写原型
+     */
+    static _checkSegments(segments) {
+        for (const segment of segments) {
+            if (segment.type === 'key') {
+                SimpleParser._checkKey(segment.key);
+            }
+        }
+    }
+
+    static _checkKey(key) {
+        if (SimpleParser.UNSAFE_KEYS.has(key)) {
+            throw new Error(`Unsafe path segment: "${key}"`);
+        }
     }
 
     // ============ 解析相关方法 ============
 
+    /**
+     * 创建指向原始文本位置的解析错误
+     */
+    _error(code, message, pos = {}) {
+        const line = pos.line || null;
+        const file = pos.file !== undefined ? pos.file : (this._file || null);
+        const lines = this._sources ? this._sources.get(file) : this._sourceLines;
+        const source = line && lines ? lines[line - 1] : null;
+        return new SimpleParseError(message, {
+            code,
+            line,
+            column: line ? (pos.column || 1) : null,
+            source: source === undefined ? null : source,
+            file,
+            document: this._document || null
+        });
+    }
+
+    /**
+     * 报告错误：恢复模式下记录并继续，否则直接抛出
+     */
+    _report(error) {
+        if (!this._recover) {
+            throw error;
+        }
+        this._errors.push(error);
+    }
+
     _removeComments(str) {
         let result = '';
         let inMultiLineComment = false;
@@ -60,7 +623,7 @@ class SimpleParser {
                     inString = true;
                     stringChar = char;
                     result += char;
-                } else if (stringChar === char && str[i - 1] !== '\\') {
+                } else if (stringChar === char) {
                     inString = false;
                     stringChar = null;
                     result += char;
@@ -92,6 +655,10 @@ class SimpleParser {
             }
 
             if (inMultiLineComment) {
+                // 保留换行，使输出行号与原文一致
+                if (char === '\n') {
+                    result += char;
+                }
                 i++;
                 continue;
             }
@@ -112,6 +679,164 @@ class SimpleParser {
         return result;
     }
 
+    /**
+     * 将单行中的注释替换为空格，保持列位置不变
+     * 用于逐行处理的场景（文档编辑、流式解析），state.inBlock 跨行记录 /* *\/ 状态
+     */
+    _maskComments(text, state) {
+        let masked = '';
+        let inString = false;
+        let stringChar = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            const nextChar = text[i + 1];
+
+            if (state.inBlock) {
+                if (char === '*' && nextChar === '/') {
+                    state.inBlock = false;
+                    masked += ' ';
+                    i++;
+                }
+                masked += ' ';
+                continue;
+            }
+
+            if (inString) {
+                if (char === '\\' && nextChar !== undefined) {
+                    masked += char + nextChar;
+                    i++;
+                    continue;
+                }
+                if (char === stringChar) {
+                    inString = false;
+                }
+                masked += char;
+                continue;
+            }
+
+            if (char === '"' || char === "'") {
+                inString = true;
+                stringChar = char;
+            } else if (char === '/' && nextChar === '*') {
+                state.inBlock = true;
+                masked += '  ';
+                i++;
+                continue;
+            } else if ((char === '/' && nextChar === '/') || char === '#') {
+                masked += ' '.repeat(text.length - i);
+                break;
+            }
+            masked += char;
+        }
+
+        return masked;
+    }
+
+    /**
+     * 找出行中的块字符串：
+     *
+     *   query: |
+     *       SELECT *
+     *         FROM users
+     *
+     * 值为 | 的条目之后缩进更深的行（以及其间的空行）是正文，按原样保留换行，
+     * 正文中的引号、注释标记和括号都是普通字符。正文去掉共同的缩进，末尾换行按标记处理：
+     *   |   保留一个末尾换行
+     *   |-  去掉末尾换行
+     *   |+  保留正文后的所有空行
+     *
+     * 返回 { line, column, chomp, start, end, value }：line 为标记所在行，column 为 | 在该行的位置，正文为 [start, end) 行
+     */
+    _findBlockStrings(lines) {
+        const blocks = [];
+        const state = { inBlock: false };
+
+        for (let i = 0; i < lines.length; i++) {
+            const masked = this._maskComments(lines[i], state);
+            const indicator = this._findBlockIndicator(masked);
+            if (!indicator || state.inBlock) continue;
+
+            const headerIndent = masked.length - masked.trimStart().length;
+            let end = i + 1;
+            let lastContent = i;
+            while (end < lines.length) {
+                if (lines[end].trim()) {
+                    if (lines[end].match(/^[ \t]*/)[0].length <= headerIndent) break;
+                    lastContent = end;
+                }
+                end++;
+            }
+            // 正文后的空行只在 |+ 时属于正文
+            if (indicator.chomp !== '+') {
+                end = lastContent + 1;
+            }
+
+            blocks.push({
+                line: i,
+                column: indicator.column,
+                chomp: indicator.chomp,
+                start: i + 1,
+                end,
+                value: this._blockStringValue(lines.slice(i + 1, end), indicator.chomp)
+            });
+            i = end - 1;
+        }
+        return blocks;
+    }
+
+    /**
+     * 已去掉注释的行以 | / |- / |+ 作为值时返回 { column, chomp }，否则返回 null
+     */
+    _findBlockIndicator(masked) {
+        const code = masked.trimEnd();
+        const match = code.match(/(^|:)\s*\|([+-]?)$/);
+        if (!match) return null;
+
+        const column = code.lastIndexOf('|');
+        const before = code.substring(0, column).trim();
+        // 标记前只能是 key: 或者什么都没有（纯值数组中的值行）
+        const split = before ? this._splitKey(before) : null;
+        if (before && (!split || split.colon !== before.length - 1)) return null;
+        return { column, chomp: match[2] };
+    }
+
+    _blockStringValue(lines, chomp) {
+        let lastContent = lines.length - 1;
+        while (lastContent >= 0 && !lines[lastContent].trim()) {
+            lastContent--;
+        }
+        if (lastContent < 0) return '';
+
+        const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length));
+        const text = lines.slice(0, lastContent + 1).map(line => line.substring(indent)).join('\n');
+        switch (chomp) {
+            case '-': return text;
+            case '+': return text + '\n'.repeat(lines.length - lastContent);
+            default: return `${text}\n`;
+        }
+    }
+
+    /**
+     * 把块字符串改写为单行的带引号字符串，正文行替换为空行，使行号保持不变
+     */
+    _expandBlockStrings(text) {
+        if (!text.includes('|')) return text;
+
+        const lines = text.split('\n');
+        // 以换行结尾时最后的空字符串不是一行
+        const count = text.endsWith('\n') ? lines.length - 1 : lines.length;
+        const blocks = this._findBlockStrings(lines.slice(0, count).map(line => line.replace(/\r$/, '')));
+
+        for (const block of blocks) {
+            lines[block.line] = `${lines[block.line].substring(0, block.column)}"${this._escapeString(block.value)}"`;
+            for (let i = block.start; i < block.end; i++) {
+                lines[i] = '';
+            }
+        }
+        return lines.join('\n');
+    }
+
     _processMultilineStrings(str) {
         const lines = [];
         let currentLine = '';
@@ -127,7 +852,7 @@ class SimpleParser {
                 if (!inString) {
                     inString = true;
                     stringChar = char;
-                } else if (stringChar === char && str[i - 1] !== '\\') {
+                } else if (stringChar === char) {
                     inString = false;
                     stringChar = null;
                 }
@@ -138,17 +863,22 @@ class SimpleParser {
                 const nextChar = str[i + 1];
                 if (nextChar === 'n') {
                     currentLine += '\n';
-                    i += 2;
-                    continue;
                 } else if (nextChar === 't') {
                     currentLine += '\t';
-                    i += 2;
+                } else if (nextChar !== undefined && nextChar !== '\n') {
+                    // 其他转义原样保留，交给 _parseString 处理
+                    currentLine += char + nextChar;
+                } else {
+                    currentLine += char;
+                    i++;
                     continue;
                 }
+                i += 2;
+                continue;
             }
 
             if (char === '\n') {
-                lines.push(currentLine);
+                lines.push({ text: currentLine, line: lines.length + 1 });
                 currentLine = '';
             } else {
                 currentLine += char;
@@ -157,22 +887,24 @@ class SimpleParser {
         }
 
         if (currentLine) {
-            lines.push(currentLine);
+            lines.push({ text: currentLine, line: lines.length + 1 });
         }
 
-        return lines.filter(line => line.trim().length > 0);
+        return lines.filter(line => line.text.trim().length > 0);
     }
 
-    _linesToAst(lines, options) {
-        const ast = { type: 'object', children: [] };
-        const stack = [{ node: ast, indent: -1 }];
+    _linesToAst(lines, options, rootType = 'object') {
+        const ast = { type: rootType, children: [] };
+        // 严格模式下 indent 为缩进的字符数，childIndent 为块中子元素的缩进
+        const stack = [{ node: ast, indent: -1, childIndent: 0 }];
+        const strict = options.strict ? { indentChar: null } : null;
 
         // 检测缩进类型
         this._detectIndentType(lines);
 
-        for (const line of lines) {
-            const indent = this._getIndentLevel(line);
+        for (const { text: line, line: lineNo } of lines) {
             const trimmed = line.trim();
+            const pos = { line: lineNo, column: line.length - line.trimStart().length + 1, file: this._file };
 
             if (!trimmed) continue;
 
@@ -181,35 +913,105 @@ class SimpleParser {
                 continue;
             }
 
+            const indent = strict ? this._strictIndent(line, pos, strict) : this._getIndentLevel(line);
+            if (indent === null) continue;
+
+            // 主文档的分隔行已在 _splitDocuments 中拆分，这里只会遇到被包含文件中的分隔行
+            if (SimpleParser.SEPARATOR_PATTERN.test(line)) {
+                this._report(this._error('E_MULTIPLE_DOCUMENTS', 'Document separator is not allowed in an included file', pos));
+                continue;
+            }
+
             // 弹出栈直到找到合适的父级
             while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
                 stack.pop();
             }
 
             const parent = stack[stack.length - 1];
+            if (strict && !this._checkBlockIndent(parent, indent, pos)) {
+                continue;
+            }
 
-            // 处理纯值数组（arrayFormat为'values'且父节点是数组）
-            if (options.arrayFormat === 'values' && parent.node.type === 'array' && !line.includes(':')) {
-                // 纯值数组格式，没有冒号和键
-                const node = {
-                    key: '-', // 使用-表示自动分配索引
-                    value: this._parseValue(trimmed),
-                    type: this._getValueType(trimmed),
-                    indent
-                };
-
-                parent.node.children.push(node);
+            // @include 把另一个文档的顶层条目拼接到当前节点
+            const include = trimmed.match(SimpleParser.INCLUDE_PATTERN);
+            if (include) {
+                try {
+                    parent.node.children.push(...this._include(include[1], parent.node.type, pos, options));
+                } catch (error) {
+                    if (!(error instanceof SimpleParseError)) throw error;
+                    this._report(error);
+                }
                 continue;
             }
 
-            // 解析键值对
-            const [key, value] = this._parseKeyValue(trimmed, parent.node.type);
+            // 顶层单独一行的 &name 为整个文档定义锚点
+            const rootAnchor = trimmed.match(/^&([A-Za-z_][\w.-]*)$/);
+            if (rootAnchor && parent.node === ast) {
+                ast.anchor = rootAnchor[1];
+                continue;
+            }
+
+            if (strict && !this._checkBrackets(trimmed, pos)) {
+                continue;
+            }
+
+            // 处理纯值数组（arrayFormat为'values'且父节点是数组）
+            if (options.arrayFormat === 'values' && parent.node.type === 'array' &&
+                (this._findSeparator(trimmed) === -1 || trimmed.startsWith('!'))) {
+                // 纯值数组格式，没有冒号和键（标签值如 !date 中的冒号不是分隔符）
+                let value;
+                try {
+                    value = this._parseTypedValue(trimmed);
+                } catch (error) {
+                    if (!(error instanceof SimpleParseError)) throw error;
+                    this._report(this._error(error.code, error.reason, pos));
+                    continue;
+                }
+                const node = {
+                    key: '-', // 使用-表示自动分配索引
+                    value: value.value,
+                    type: value.type,
+                    tag: value.tag,
+                    anchor: value.anchor,
+                    indent,
+                    ...pos
+                };
+
+                // 纯值数组中的嵌套容器 ([] / {}) 通过缩进继续声明子元素
+                if ((value.type === 'array' || value.type === 'object') && Object.keys(value.value).length === 0) {
+                    node.children = [];
+                    stack.push({ node, indent });
+                }
+
+                parent.node.children.push(node);
+                continue;
+            }
+
+            if (strict && options.arrayFormat === 'values' && parent.node.type === 'array') {
+                this._report(this._error('E_KEY_IN_VALUES_ARRAY',
+                    `Key ${trimmed.substring(0, this._findSeparator(trimmed)).trim()} is not allowed in a values-format array`, pos));
+                continue;
+            }
+
+            // 解析键值对，恢复模式下跳过出错的行
+            let key, value, quoted;
+            try {
+                [key, value, quoted] = this._parseKeyValue(trimmed, parent.node.type, pos);
+            } catch (error) {
+                if (!(error instanceof SimpleParseError)) throw error;
+                this._report(error.line === null ? this._error(error.code, error.reason, pos) : error);
+                continue;
+            }
 
             const node = {
                 key,
+                quotedKey: quoted,
                 value: value.value,
                 type: value.type,
-                indent
+                tag: value.tag,
+                anchor: value.anchor,
+                indent,
+                ...pos
             };
 
             if (value.type === 'object' || value.type === 'array') {
@@ -223,8 +1025,98 @@ class SimpleParser {
         return ast;
     }
 
+    /**
+     * 只有一行、且这一行是内联值的文档（stringify 的 compact 形式）返回以该值为根的 AST，其他文档返回 null
+     */
+    _parseCompact(lines, options) {
+        const content = lines.filter(({ text }) => {
+            const trimmed = text.trim();
+            return trimmed && !trimmed.startsWith('//') && !trimmed.startsWith('#');
+        });
+        if (content.length !== 1 || !this._isCompactValue(content[0].text.trim())) return null;
+
+        const { text, line } = content[0];
+        const trimmed = text.trim();
+        const pos = { line, column: text.length - text.trimStart().length + 1, file: this._file };
+        if (options.strict && !this._checkBrackets(trimmed, pos)) {
+            return { type: 'object', children: [] };
+        }
+
+        let value;
+        try {
+            value = this._parseTypedValue(trimmed);
+        } catch (error) {
+            if (!(error instanceof SimpleParseError)) throw error;
+            this._report(this._error(error.code, error.reason, pos));
+            return { type: 'object', children: [] };
+        }
+        return { type: value.type, value: value.value, tag: value.tag, anchor: value.anchor, ...pos };
+    }
+
+    /**
+     * 判断一行能否作为 compact 形式的根值：内联 [...] / {...}、带引号的字符串、别名、
+     * None / true / false / 数字或 !tag 值，前面可以有 &name 锚点
+     * 单独的 &name 是根对象的锚点；无引号的字符串更可能是缺少冒号的条目，仍按普通文档报错
+     */
+    _isCompactValue(trimmed) {
+        if (/^&[A-Za-z_][\w.-]*$/.test(trimmed) || SimpleParser.INCLUDE_PATTERN.test(trimmed)) return false;
+        const body = trimmed.replace(/^&[A-Za-z_][\w.-]*\s+/, '');
+        // 标签载荷中可以有冒号，如 !date 2024-01-01T00:00:00.000Z
+        if (/^![A-Za-z_][\w.-]*(?:\s|$)/.test(body)) return true;
+        if (this._findSeparator(trimmed) !== -1) return false;
+        return /^\[[\s\S]*\]$|^\{[\s\S]*\}$|^\*[A-Za-z_][\w.-]*$/.test(body) || this._isQuoted(body) ||
+            this._isNumber(body) || ['None', 'true', 'false'].includes(body);
+    }
+
+    /**
+     * 加载并解析被包含的文件，返回其顶层节点
+     * 被包含的文件独立检测缩进，节点直接挂到包含处的父节点下，因此缩进自动以包含处为准
+     */
+    _include(spec, parentType, pos, options) {
+        const request = this._isQuoted(spec) ? this._parseString(spec.substring(1, spec.length - 1)) : spec;
+        if (!this._loader) {
+            throw this._error('E_INCLUDE', `Cannot include ${request}: no loader configured`, pos);
+        }
+
+        let file, text;
+        try {
+            file = this._loader.resolve(request, this._file);
+            text = this._loader.load(file);
+        } catch (error) {
+            throw this._error('E_INCLUDE', `Cannot include ${request}: ${error.message}`, pos);
+        }
+
+        if (this._includeStack.includes(file)) {
+            const chain = this._includeStack.concat(file).map(name => name === null ? '(root)' : name);
+            throw this._error('E_INCLUDE_CYCLE', `Include cycle: ${chain.join(' -> ')}`, pos);
+        }
+
+        const saved = { file: this._file, indentType: this.indentType, indentSize: this.indentSize };
+        this._file = file;
+        this._sources.set(file, text.split('\n').map(line => line.replace(/\r$/, '')));
+        this._includeStack.push(file);
+        try {
+            if (options.strict) {
+                this._checkLexical(this._sources.get(file), 1);
+            }
+            const lines = this._processMultilineStrings(this._removeComments(this._expandBlockStrings(text)));
+            return this._linesToAst(lines, options, parentType).children;
+        } finally {
+            this._includeStack.pop();
+            this._file = saved.file;
+            this.indentType = saved.indentType;
+            this.indentSize = saved.indentSize;
+        }
+    }
+
+    /**
+     * 检测缩进方式，每个文档（包括被包含的文件）各自检测
+     */
     _detectIndentType(lines) {
-        for (const line of lines) {
+        this.indentType = null;
+        this.indentSize = null;
+
+        for (const { text: line } of lines) {
             const trimmed = line.trim();
             if (!trimmed || trimmed.startsWith('//') || trimmed.startsWith('#')) {
                 continue;
@@ -260,108 +1152,179 @@ class SimpleParser {
         }
     }
 
-    _parseKeyValue(line, parentType) {
-        const colonIndex = line.indexOf(':');
-        if (colonIndex === -1) {
-            throw new Error(`Invalid line: ${line}`);
+    /**
+     * 解析 key: value 行，返回 [键, 值, 键是否带引号]
+     */
+    _parseKeyValue(line, parentType, pos) {
+        const split = this._splitKey(line);
+        if (!split) {
+            throw this._error('E_INVALID_LINE', `Invalid line: ${line}`, pos);
+        }
+
+        const valueStr = line.substring(split.colon + 1).trim();
+        return [split.key, this._parseTypedValue(valueStr), split.quoted];
+    }
+
+    /**
+     * 拆出 key: value 中的键，返回 { key, colon, quoted }，colon 为分隔冒号的位置；没有冒号时返回 null
+     * 以引号开头的键与字符串值的转义相同，可以含有冒号、逗号、注释符号和首尾空白；其余的键到第一个冒号为止
+     */
+    _splitKey(str) {
+        const quote = str[0];
+        if (quote === '"' || quote === "'") {
+            let end = 1;
+            while (end < str.length && str[end] !== quote) {
+                end += str[end] === '\\' ? 2 : 1;
+            }
+            const colon = end < str.length ? str.substring(end + 1).match(/^\s*:/) : null;
+            if (colon) {
+                return { key: this._parseString(str.substring(1, end)), colon: end + colon[0].length, quoted: true };
+            }
         }
 
-        const key = line.substring(0, colonIndex).trim();
-        let valueStr = line.substring(colonIndex + 1).trim();
+        const colon = str.indexOf(':');
+        return colon === -1 ? null : { key: str.substring(0, colon).trim(), colon, quoted: false };
+    }
+
+    /**
+     * 按标量语法解析单个值，返回 { type, value }
+     *
+     * 标量语法（parse 与 stringify 共用）：
+     *   None                         -> null
+     *   true / false                 -> boolean
+     *   1  -2.5  +3  .5  1e5  1.5E-3 -> 十进制数
+     *   0x1F  0o17  0b101（可带符号） -> 十六进制/八进制/二进制整数
+     *   Infinity  -Infinity  NaN     -> 特殊数值
+     *   "..." / '...'                -> 带转义的字符串
+     *   !tag 载荷                     -> 由标签处理器还原的值，见 registerTag
+     *   &name 值 / *name              -> 锚点与别名，解析为共享（可循环）的引用
+     *   其他                          -> 无引号字符串
+     */
+    _parseTypedValue(valueStr) {
+        // &name 值：为值定义锚点；*name：引用锚点处的同一个值
+        const anchor = valueStr.match(/^&([A-Za-z_][\w.-]*)(?:\s+([\s\S]*))?$/);
+        if (anchor) {
+            return { ...this._parseTypedValue(anchor[2] || ''), anchor: anchor[1] };
+        }
+        const alias = valueStr.match(/^\*([A-Za-z_][\w.-]*)$/);
+        if (alias) {
+            return { type: 'alias', value: new SimpleReference('alias', alias[1]) };
+        }
 
-        // 解析值
-        let value = { type: 'string', value: valueStr };
+        if (valueStr.startsWith('!')) {
+            const tagged = this._parseTagged(valueStr);
+            if (tagged) return tagged;
+        }
 
         if (valueStr === 'None') {
-            value = { type: 'null', value: null };
+            return { type: 'null', value: null };
+        } else if (valueStr === 'true' || valueStr === 'false') {
+            return { type: 'boolean', value: valueStr === 'true' };
         } else if (valueStr === '{}') {
-            value = { type: 'object', value: {} };
+            return { type: 'object', value: {} };
         } else if (valueStr === '[]') {
-            value = { type: 'array', value: [] };
+            return { type: 'array', value: [] };
         } else if (this._isNumber(valueStr)) {
-            value = { type: 'number', value: this._parseNumber(valueStr) };
-        } else if ((valueStr.startsWith('"') && valueStr.endsWith('"')) ||
-                (valueStr.startsWith("'") && valueStr.endsWith("'"))) {
-            value = {
+            return { type: 'number', value: this._parseNumber(valueStr) };
+        } else if (this._isQuoted(valueStr)) {
+            return {
                 type: 'string',
                 value: this._parseString(valueStr.substring(1, valueStr.length - 1))
             };
         } else if (valueStr.startsWith('[') && valueStr.endsWith(']')) {
             // 内联数组 - 立即解析
-            const arrayValue = this._parseInlineArray(valueStr);
-            value = { type: 'array', value: arrayValue };
+            return { type: 'array', value: this._parseInlineArray(valueStr) };
         } else if (valueStr.startsWith('{') && valueStr.endsWith('}')) {
             // 内联对象 - 立即解析
-            const objValue = this._parseInlineObject(valueStr);
-            value = { type: 'object', value: objValue };
+            return { type: 'object', value: this._parseInlineObject(valueStr) };
+        }
+        // 无引号字符串
+        return { type: 'string', value: this._parseString(valueStr) };
+    }
+
+    /**
+     * 解析 !tag 载荷；块载荷（!tag [] / !tag {}）的子元素在 _astToObject 中构建后再还原
+     */
+    _parseTagged(valueStr) {
+        const match = valueStr.match(/^!([A-Za-z_][\w.-]*)(?:\s+([\s\S]*))?$/);
+        if (!match) return null;
+
+        const [, name, payload = ''] = match;
+        const handler = this.tags.get(name);
+        if (!handler) {
+            throw this._error('E_UNKNOWN_TAG', `Unknown tag: !${name}`);
+        }
+
+        if (payload === '[]' || payload === '{}') {
+            return { type: payload === '[]' ? 'array' : 'object', value: payload === '[]' ? [] : {}, tag: name };
+        }
+
+        let data;
+        if (this._isQuoted(payload)) {
+            data = this._parseString(payload.substring(1, payload.length - 1));
+        } else if (payload.startsWith('[') || payload.startsWith('{')) {
+            data = this._parseValue(payload);
         } else {
-            // 无引号字符串
-            value = { type: 'string', value: this._parseString(valueStr) };
+            data = payload;
         }
+        return { type: 'tagged', value: this._applyTag(name, data), tag: name };
+    }
 
-        return [key, value];
+    _applyTag(name, data) {
+        try {
+            return this.tags.get(name).deserialize(data);
+        } catch (error) {
+            if (error instanceof SimpleParseError) throw error;
+            throw this._error('E_INVALID_TAG_VALUE', `Invalid value for !${name}: ${error.message}`);
+        }
     }
 
     _parseValue(valueStr) {
-        if (valueStr === 'None') {
-            return null;
-        } else if (valueStr === '{}') {
-            return {};
-        } else if (valueStr === '[]') {
-            return [];
-        } else if (this._isNumber(valueStr)) {
-            return this._parseNumber(valueStr);
-        } else if ((valueStr.startsWith('"') && valueStr.endsWith('"')) ||
-                  (valueStr.startsWith("'") && valueStr.endsWith("'"))) {
-            return this._parseString(valueStr.substring(1, valueStr.length - 1));
-        } else if (valueStr.startsWith('[') && valueStr.endsWith(']')) {
-            return this._parseInlineArray(valueStr);
-        } else if (valueStr.startsWith('{') && valueStr.endsWith('}')) {
-            return this._parseInlineObject(valueStr);
-        } else {
-            return this._parseString(valueStr);
+        const typed = this._parseTypedValue(valueStr);
+        // 内联值中的锚点留待 _astToObject 按文档顺序登记
+        if (typed.anchor) {
+            return new SimpleReference('anchor', typed.anchor, typed.value);
         }
+        return typed.value;
     }
 
     _getValueType(valueStr) {
-        if (valueStr === 'None') {
-            return 'null';
-        } else if (valueStr === '{}') {
-            return 'object';
-        } else if (valueStr === '[]') {
-            return 'array';
-        } else if (this._isNumber(valueStr)) {
-            return 'number';
-        } else if ((valueStr.startsWith('"') && valueStr.endsWith('"')) ||
-                  (valueStr.startsWith("'") && valueStr.endsWith("'"))) {
-            return 'string';
-        } else if (valueStr.startsWith('[') && valueStr.endsWith(']')) {
-            return 'array';
-        } else if (valueStr.startsWith('{') && valueStr.endsWith('}')) {
-            return 'object';
-        } else {
-            return 'string';
-        }
+        return this._parseTypedValue(valueStr).type;
+    }
+
+    _isQuoted(str) {
+        return str.length >= 2 &&
+            ((str.startsWith('"') && str.endsWith('"')) ||
+             (str.startsWith("'") && str.endsWith("'")));
     }
 
     _isNumber(str) {
-        return /^-?\d+(\.\d+)?$/.test(str);
+        return /^[+-]?(?:(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?|0[xX][0-9a-fA-F]+|0[oO][0-7]+|0[bB][01]+|Infinity)$|^NaN$/.test(str);
     }
 
     _parseNumber(str) {
-        const num = parseFloat(str);
-        return isNaN(num) ? 0 : num;
+        // Number() 不接受带符号的 0x/0o/0b，先拆出符号
+        const sign = str[0] === '-' ? -1 : 1;
+        const body = str[0] === '-' || str[0] === '+' ? str.substring(1) : str;
+        return sign * Number(body);
+    }
+
+    _formatNumber(num) {
+        // -0 的 toString() 是 '0'，单独处理以保证往返一致
+        if (Object.is(num, -0)) return '-0';
+        return num.toString();
     }
 
     _parseString(str) {
         // 处理转义字符
-        return str.replace(/\\([nrt\\"])/g, (match, escaped) => {
+        return str.replace(/\\([nrt\\"'])/g, (match, escaped) => {
             switch (escaped) {
                 case 'n': return '\n';
                 case 'r': return '\r';
                 case 't': return '\t';
                 case '\\': return '\\';
                 case '"': return '"';
+                case "'": return "'";
                 default: return escaped;
             }
         });
@@ -386,18 +1349,50 @@ class SimpleParser {
         const pairs = this._splitByComma(content);
 
         for (const pair of pairs) {
-            const colonIndex = pair.indexOf(':');
-            if (colonIndex === -1) continue;
+            const split = this._splitKey(pair);
+            if (!split) continue;
 
-            const key = pair.substring(0, colonIndex).trim();
-            const valueStr = pair.substring(colonIndex + 1).trim();
-
-            obj[key] = this._parseValue(valueStr);
+            this._define(obj, split.key, this._parseValue(pair.substring(split.colon + 1).trim()));
         }
 
         return obj;
     }
 
+    /**
+     * 查找引号和括号之外的第一个冒号，不存在时返回 -1
+     */
+    _findSeparator(str) {
+        let depth = 0;
+        let inString = false;
+        let stringChar = null;
+
+        for (let i = 0; i < str.length; i++) {
+            const char = str[i];
+
+            if (inString) {
+                if (char === '\\') {
+                    i++;
+                } else if (char === stringChar) {
+                    inString = false;
+                }
+                continue;
+            }
+
+            if (char === '"' || char === "'") {
+                inString = true;
+                stringChar = char;
+            } else if (char === '[' || char === '{') {
+                depth++;
+            } else if (char === ']' || char === '}') {
+                depth--;
+            } else if (char === ':' && depth === 0) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
     _splitByComma(str) {
         const result = [];
         let current = '';
@@ -408,7 +1403,14 @@ class SimpleParser {
         for (let i = 0; i < str.length; i++) {
             const char = str[i];
 
-            if ((char === '"' || char === "'") && (i === 0 || str[i - 1] !== '\\')) {
+            // 跳过字符串内的转义字符，避免 \" 或 \\ 影响引号匹配
+            if (inString && char === '\\') {
+                current += char + (str[i + 1] || '');
+                i++;
+                continue;
+            }
+
+            if (char === '"' || char === "'") {
                 if (!inString) {
                     inString = true;
                     stringChar = char;
@@ -439,55 +1441,100 @@ class SimpleParser {
         return result;
     }
 
-    _astToObject(astNode) {
+    _astToObject(astNode, path = []) {
+        // 别名直接返回锚点处的同一个值
+        if (astNode.type === 'alias') {
+            return this._resolveAlias(astNode.value.name, astNode);
+        }
+
+        const value = this._buildValue(astNode, path);
+        this._defineAnchor(astNode, value);
+        return value;
+    }
+
+    _buildValue(astNode, path) {
+        // 块载荷的标签：先构建子元素，再交给标签处理器
+        if (astNode.tag && astNode.type !== 'tagged') {
+            const data = this._astToObject({ ...astNode, tag: null }, path);
+            try {
+                return this._applyTag(astNode.tag, data);
+            } catch (error) {
+                if (!(error instanceof SimpleParseError)) throw error;
+                this._report(this._error(error.code, error.reason, astNode));
+                return data;
+            }
+        }
+
         // 处理基础类型的节点（不是对象或数组）
-        if (!astNode.type || astNode.type === 'string' || astNode.type === 'number' || astNode.type === 'null') {
+        if (!astNode.type || astNode.type === 'string' || astNode.type === 'number' ||
+            astNode.type === 'boolean' || astNode.type === 'null' || astNode.type === 'tagged') {
             return astNode.value;
         }
 
         if (astNode.type === 'object') {
+            // 处理内联对象（没有通过缩进声明子元素的情况）
+            if (astNode.value && (!astNode.children || astNode.children.length === 0)) {
+                this._defineAnchor(astNode, astNode.value);
+                return this._reviveChildren(this._resolveInline(astNode.value, astNode), path);
+            }
+
+            // 先登记锚点，子元素中的别名可以引用正在构建的对象（循环引用）
             const obj = {};
+            this._defineAnchor(astNode, obj);
             for (const child of astNode.children || []) {
-                if (child.type === 'object' || child.type === 'array') {
-                    obj[child.key] = this._astToObject(child);
-                } else {
-                    // 对于基础类型，直接使用value
-                    obj[child.key] = child.value;
-                }
+                const childPath = path.concat(child.key);
+                this._recordLocation(childPath, child);
+                this._define(obj, child.key, this._astToObject(child, childPath));
+                this._reviveProperty(obj, child.key, childPath);
             }
             return obj;
         } else if (astNode.type === 'array') {
             // 处理内联数组（没有children的情况）
             if (astNode.value && !astNode.children) {
-                return astNode.value;
+                this._defineAnchor(astNode, astNode.value);
+                return this._reviveChildren(this._resolveInline(astNode.value, astNode), path);
             }
 
             // 处理通过缩进定义的多行数组
             const array = [];
+            this._defineAnchor(astNode, array);
             const explicitIndices = [];
             const dashIndices = [];
+            const slots = [];
 
+            // 先确定每个子元素的索引
             for (const child of (astNode.children || [])) {
+                // 带引号的键总是对象的键，不能作为索引
+                if (child.quotedKey) {
+                    this._report(this._error('E_INVALID_INDEX', `Invalid array index: "${this._escapeString(child.key)}"`, child));
+                    continue;
+                }
                 if (child.key === '-') {
-                    dashIndices.push({
-                        value: this._astToObject(child),
-                        child
-                    });
+                    // 补足项的索引要等显式索引确定后才能分配
+                    const slot = { child, indices: [] };
+                    dashIndices.push(slot);
+                    slots.push(slot);
                 } else if (child.key.includes('-')) {
                     // 处理区间
-                    const [start, end] = child.key.split('-').map(Number);
-                    const value = this._astToObject(child);
-
-                    for (let i = start; i <= end; i++) {
-                        array[i] = value;
+                    const range = child.key.match(/^(\d+)\s*-\s*(\d+)$/);
+                    if (!range || Number(range[1]) > Number(range[2])) {
+                        this._report(this._error('E_INVALID_RANGE', `Invalid array range: ${child.key}`, child));
+                        continue;
+                    }
+                    const indices = [];
+                    for (let i = Number(range[1]); i <= Number(range[2]); i++) {
+                        indices.push(i);
                         explicitIndices.push(i);
                     }
+                    slots.push({ child, indices, range: true });
                 } else {
-                    const index = parseInt(child.key, 10);
-                    if (!isNaN(index)) {
-                        array[index] = this._astToObject(child);
-                        explicitIndices.push(index);
+                    if (!/^\d+$/.test(child.key)) {
+                        this._report(this._error('E_INVALID_INDEX', `Invalid array index: ${child.key}`, child));
+                        continue;
                     }
+                    const index = parseInt(child.key, 10);
+                    explicitIndices.push(index);
+                    slots.push({ child, indices: [index] });
                 }
             }
 
@@ -497,20 +1544,36 @@ class SimpleParser {
                 while (explicitIndices.includes(currentIndex)) {
                     currentIndex++;
                 }
-                array[currentIndex] = dash.value;
+                dash.indices.push(currentIndex);
                 currentIndex++;
             }
 
-            // 移除空洞（undefined），用0填充
-            for (let i = 0; i < array.length; i++) {
-                if (array[i] === undefined) {
-                    array[i] = 0;
+            // 按文档顺序构建，保证锚点先于引用它的别名登记
+            for (const { child, indices, range } of slots) {
+                // 区间的值只构建一次并共享；有 reviver 时按索引分别构建，使每个元素都能看到自己的路径
+                const shared = range && !this._reviver ? this._astToObject(child, path.concat(indices[0])) : undefined;
+                for (const i of indices) {
+                    this._recordLocation(path.concat(i), child);
+                    array[i] = range && !this._reviver ? shared : this._astToObject(child, path.concat(i));
                 }
             }
 
+            const missing = this._fillHoles(array, this._holes);
+            if (missing.length > 0) {
+                const name = path.length > 0 ? this._formatPath(path) : 'array';
+                this._report(this._error('E_ARRAY_HOLE', `${missing.length > 1 ? 'Indices' : 'Index'} ${this._formatIndices(missing)} of ${name} ${missing.length > 1 ? 'are' : 'is'} not defined`, astNode));
+            }
+
             // 如果数组是空的，但value有内联数组数据
             if (array.length === 0 && astNode.value && Array.isArray(astNode.value)) {
-                return astNode.value;
+                return this._reviveChildren(this._resolveInline(astNode.value, astNode), path);
+            }
+
+            // 区间和补足项都已展开为具体索引，逐个交给 reviver
+            for (let i = 0; i < array.length; i++) {
+                if (i in array) {
+                    this._reviveProperty(array, i, path.concat(i));
+                }
             }
 
             return array;
@@ -520,137 +1583,883 @@ class SimpleParser {
         }
     }
 
-    // ============ 序列化相关方法 ============
-
-    _objectToSimple(obj, level, options) {
-        if (obj === null) return 'None';
-        if (typeof obj === 'number') return obj.toString();
-        if (typeof obj === 'boolean') return obj.toString();
-        if (typeof obj === 'string') {
-            // 判断是否需要引号
-            if (this._needsQuotes(obj)) {
-                return `"${this._escapeString(obj)}"`;
+    /**
+     * 按 holes 选项（{ policy, value }）处理数组中未声明的索引
+     * policy 为 'throw' 时不填充，返回空洞的索引交给调用方报告
+     */
+    _fillHoles(array, holes) {
+        const missing = [];
+        if (holes.policy === 'sparse') return missing;
+
+        for (let i = 0; i < array.length; i++) {
+            if (array[i] !== undefined) continue;
+            if (holes.policy === 'throw') {
+                missing.push(i);
+            } else {
+                array[i] = this._cloneTree(this._holeValue(holes));
             }
-            return this._escapeString(obj);
         }
+        return missing;
+    }
 
-        if (Array.isArray(obj)) {
-            if (obj.length === 0) return '[]';
-
-            // 检查是否应该内联
-            if (this._shouldInlineArray(obj)) {
-                const items = obj.map(item => this._objectToSimple(item, level, options));
-                return `[${items.join(', ')}]`;
-            }
+    /**
+     * 空洞的填充值，'sparse' 和 'throw' 没有填充值，返回 undefined
+     */
+    _holeValue(holes) {
+        switch (holes.policy) {
+            case 'zero': return 0;
+            case 'null': return null;
+            case 'fill': return holes.value;
+            default: return undefined;
+        }
+    }
 
-            // 多行数组
-            let result = '[]\n';
+    _checkHoles(policy) {
+        if (!['zero', 'null', 'fill', 'sparse', 'throw'].includes(policy)) {
+            throw new Error(`Invalid holes option: ${policy}`);
+        }
+    }
 
-            if (options.arrayFormat === 'values') {
-                // 纯值数组格式
-                for (let i = 0; i < obj.length; i++) {
-                    const indent = this._getIndentString(level + 1, options);
-                    const valueStr = this._objectToSimple(obj[i], level + 1, options);
-                    result += `${indent}${valueStr}\n`;
-                }
+    /**
+     * 把索引列表写为 0, 4-6 的形式
+     */
+    _formatIndices(indices) {
+        const ranges = [];
+        for (const index of indices) {
+            const last = ranges[ranges.length - 1];
+            if (last && last[1] === index - 1) {
+                last[1] = index;
             } else {
-                // 索引格式，支持区间表示
-                let i = 0;
-                while (i < obj.length) {
-                    // 查找连续相同值的区间
-                    let j = i + 1;
-                    while (j < obj.length && this._isEqual(obj[i], obj[j])) {
-                        j++;
-                    }
-
-                    const indent = this._getIndentString(level + 1, options);
-                    const valueStr = this._objectToSimple(obj[i], level + 1, options);
-
-                    if (j - i > 1) {
-                        // 连续相同值，使用区间表示
-                        result += `${indent}${i}-${j - 1}: ${valueStr}\n`;
-                    } else {
-                        result += `${indent}${i}: ${valueStr}\n`;
-                    }
-
-                    i = j;
-                }
+                ranges.push([index, index]);
             }
-            return result.trim();
         }
+        return ranges.map(([start, end]) => start === end ? `${start}` : `${start}-${end}`).join(', ');
+    }
 
-        if (typeof obj === 'object') {
-            const entries = Object.entries(obj);
+    _defineAnchor(astNode, value) {
+        if (astNode.anchor) {
+            this._anchors.set(astNode.anchor, value);
+        }
+    }
 
-            // 检查是否应该内联
-            if (this._shouldInlineObject(obj)) {
-                const pairs = entries.map(([key, value]) =>
-                    `${key}: ${this._objectToSimple(value, level, options)}`
-                );
-                return `{${pairs.join(', ')}}`;
-            }
+    _resolveAlias(name, pos) {
+        if (!this._anchors.has(name)) {
+            this._report(this._error('E_UNKNOWN_ANCHOR', `Unknown anchor: *${name}`, pos));
+            return null;
+        }
+        return this._anchors.get(name);
+    }
 
-            let result = '';
-            if (this.outerParsed) {
-                result = '{}\n';
-            } else {
-                this.outerParsed = true;
+    /**
+     * 按从左到右的顺序替换内联值中的锚点和别名占位
+     */
+    _resolveInline(value, pos) {
+        if (value instanceof SimpleReference) {
+            if (value.kind === 'alias') {
+                return this._resolveAlias(value.name, pos);
             }
+            // 容器就地解析，先登记锚点，其中的别名可以引用它自身
+            this._anchors.set(value.name, value.value);
+            const resolved = this._resolveInline(value.value, pos);
+            this._anchors.set(value.name, resolved);
+            return resolved;
+        }
 
-            for (const [key, value] of entries) {
-                const indent = this._getIndentString(level, options);
-                const valueStr = this._objectToSimple(value, level + 1, options);
-                result += `${indent}${key}: ${valueStr}\n`;
+        if (Array.isArray(value) || this._isPlainObject(value)) {
+            for (const key of Object.keys(value)) {
+                value[key] = this._resolveInline(value[key], pos);
             }
-            return result.trim();
         }
-
-        return '';
+        return value;
     }
 
-    _isEqual(a, b) {
-        if (typeof a !== typeof b) return false;
+    /**
+     * 解析字符串中的 ${a.b[2]} 引用和 ${env:NAME:-default} 环境变量，$${ 表示字面量 ${
+     * 整个值只有一个引用时保留被引用值的类型，否则拼接为字符串
+     */
+    _interpolate(root, env) {
+        const holder = { '': root };
+        const state = { holder, env, done: new Set(), pending: [], seen: new Set() };
+        this._interpolateValue(holder, '', [], state);
+        return holder[''];
+    }
 
-        if (a === null || b === null) {
-            return a === b;
+    _interpolateValue(holder, key, path, state) {
+        let value = holder[key];
+        if (typeof value === 'string') {
+            value = this._resolveString(holder, key, path, state);
         }
 
-        if (typeof a === 'object') {
-            if (Array.isArray(a) && Array.isArray(b)) {
-                if (a.length !== b.length) return false;
-                for (let i = 0; i < a.length; i++) {
-                    if (!this._isEqual(a[i], b[i])) return false;
-                }
-                return true;
-            } else if (!Array.isArray(a) && !Array.isArray(b)) {
-                const keysA = Object.keys(a);
-                const keysB = Object.keys(b);
-                if (keysA.length !== keysB.length) return false;
-                for (const key of keysA) {
-                    if (!this._isEqual(a[key], b[key])) return false;
-                }
-                return true;
+        // 锚点产生的共享和循环引用只处理一次
+        if ((Array.isArray(value) || this._isPlainObject(value)) && !state.seen.has(value)) {
+            state.seen.add(value);
+            for (const childKey of Object.keys(value)) {
+                const child = Array.isArray(value) ? Number(childKey) : childKey;
+                this._interpolateValue(value, child, path.concat(child), state);
             }
-            return false;
         }
-
-        return a === b;
     }
 
-    _needsQuotes(str) {
-        // 如果包含特殊字符、数字开头、或者可能是其他类型的关键字，需要引号
-        if (/^\d/.test(str)) return true;
-        if (str === 'None' || str === 'true' || str === 'false') return true;
-        if (str.includes(':') || str.includes(',') || str.includes('[') ||
-            str.includes(']') || str.includes('{') || str.includes('}')) return true;
-        if (/^\s|\s$/.test(str)) return true;
-        return false;
-    }
+    _resolveString(holder, key, path, state) {
+        const id = path.join('\u0000');
+        const str = holder[key];
+        if (state.done.has(id) || !str.includes('${')) return str;
 
-    _escapeString(str) {
-        return str.replace(/[\n\t\\"]/g, match => {
+        state.pending.push(path);
+        try {
+            const whole = str.match(/^\$\{([^}]*)\}$/);
+            if (whole) {
+                holder[key] = this._lookupReference(whole[1], path, state);
+            } else {
+                holder[key] = str.replace(/\$\$\{|\$\{([^}]*)\}/g, (match, expr) => {
+                    if (expr === undefined) return '${';
+                    const value = this._lookupReference(expr, path, state);
+                    if (value !== null && typeof value === 'object') {
+                        throw this._error('E_INVALID_REFERENCE', `Cannot interpolate a container into a string: \${${expr}}`, this._locate(path) || {});
+                    }
+                    return value === null ? 'None' : String(value);
+                });
+            }
+        } catch (error) {
+            if (!(error instanceof SimpleParseError)) throw error;
+            this._report(error);
+        } finally {
+            state.pending.pop();
+            state.done.add(id);
+        }
+        return holder[key];
+    }
+
+    _lookupReference(expr, path, state) {
+        const pos = this._locate(path) || {};
+
+        const env = expr.match(/^env:([A-Za-z_]\w*)(?::-([\s\S]*))?$/);
+        if (env) {
+            if (state.env && Object.prototype.hasOwnProperty.call(state.env, env[1]) && state.env[env[1]] !== undefined) {
+                return String(state.env[env[1]]);
+            }
+            if (env[2] !== undefined) return env[2];
+            throw this._error('E_UNDEFINED_VARIABLE', `Undefined environment variable: ${env[1]}`, pos);
+        }
+
+        const keys = this._parsePath(expr.trim());
+        if (!keys) {
+            throw this._error('E_INVALID_REFERENCE', `Invalid reference: \${${expr}}`, pos);
+        }
+
+        // 引用正在解析的值或其祖先会无限展开
+        const cycle = state.pending.findIndex(pending =>
+            keys.length <= pending.length && keys.every((key, i) => String(key) === String(pending[i])));
+        if (cycle !== -1) {
+            const chain = state.pending.slice(cycle).map(pending => this._formatPath(pending));
+            throw this._error('E_REFERENCE_CYCLE', `Reference cycle: ${chain.concat(this._formatPath(keys)).join(' -> ')}`, pos);
+        }
+
+        let holder = state.holder;
+        let key = '';
+        const resolved = [];
+        for (const segment of keys) {
+            // 路径中间的字符串可能本身就是引用
+            const value = typeof holder[key] === 'string' ? this._resolveString(holder, key, resolved, state) : holder[key];
+            if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+                throw this._error('E_UNKNOWN_REFERENCE', `Unknown reference: \${${expr}}`, pos);
+            }
+            holder = value;
+            key = Array.isArray(value) ? Number(segment) : segment;
+            resolved.push(key);
+        }
+
+        if (typeof holder[key] === 'string') {
+            return this._resolveString(holder, key, resolved, state);
+        }
+
+        // 被引用的容器先完整解析再复制一份，复制出的值不再处理，避免两处共享同一个对象
+        state.pending.push(resolved);
+        try {
+            this._interpolateValue(holder, key, resolved, state);
+        } finally {
+            state.pending.pop();
+        }
+        const value = this._cloneTree(holder[key]);
+        if (value !== null && typeof value === 'object') {
+            state.seen.add(value);
+        }
+        return value;
+    }
+
+    /**
+     * 解析只含键和索引的引用路径，格式无效时返回 null
+     */
+    _parsePath(str) {
+        let segments;
+        try {
+            segments = SimpleParser.parsePath(str);
+        } catch (error) {
+            if (!(error instanceof SimpleParseError)) throw error;
+            return null;
+        }
+        if (segments.length === 0 || segments.some(segment => segment.type !== 'key' && segment.type !== 'index')) {
+            return null;
+        }
+        return segments.map(segment => segment.type === 'key' ? segment.key : segment.index);
+    }
+
+    /**
+     * 写入自有的数据属性，键为 __proto__ 时不会经过原型上的 setter
+     */
+    _define(obj, key, value) {
+        Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+    }
+
+    _cloneTree(value) {
+        if (Array.isArray(value)) return value.map(item => this._cloneTree(item));
+        if (this._isPlainObject(value)) {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                this._define(result, key, this._cloneTree(item));
+            }
+            return result;
+        }
+        return value;
+    }
+
+    _recordLocation(path, node) {
+        if (this._locations) {
+            this._locations.set(path.join('\u0000'), node);
+        }
+    }
+
+    /**
+     * 查找数据路径对应的源码位置，内联值使用最近的祖先所在行
+     */
+    _locate(path) {
+        for (let i = path.length; i > 0; i--) {
+            const node = this._locations && this._locations.get(path.slice(0, i).join('\u0000'));
+            if (node) {
+                const lines = this._sources.get(node.file);
+                return {
+                    line: node.line,
+                    column: node.column,
+                    source: lines[node.line - 1],
+                    file: node.file,
+                    document: this._document || null
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 对 holder[key] 调用 reviver，返回 undefined 时删除该键
+     */
+    _reviveProperty(holder, key, path) {
+        if (!this._reviver) return;
+
+        const value = this._reviver.call(holder, String(key), holder[key], path);
+        if (value === undefined) {
+            delete holder[key];
+        } else {
+            holder[key] = value;
+        }
+    }
+
+    /**
+     * 自底向上对内联数组/对象的子元素调用 reviver（不包括值本身）
+     */
+    _reviveChildren(value, path, seen = new Set()) {
+        if (!this._reviver || value === null || typeof value !== 'object') {
+            return value;
+        }
+        // 别名可能指向祖先形成循环，已访问过的值不再进入
+        if (seen.has(value)) {
+            return value;
+        }
+        seen.add(value);
+
+        const keys = Array.isArray(value) ? value.map((_, i) => i) : Object.keys(value);
+        for (const key of keys) {
+            const childPath = path.concat(key);
+            value[key] = this._reviveChildren(value[key], childPath, seen);
+            this._reviveProperty(value, key, childPath);
+        }
+        return value;
+    }
+
+    /**
+     * 按 JSON.stringify 的规则应用 replacer，返回替换后的副本
+     * replacer 为函数时以 (key, value, path) 调用，为数组时作为对象键的白名单
+     */
+    _applyReplacer(replacer, holder, key, value, path, copies = new Map()) {
+        if (typeof replacer === 'function') {
+            value = replacer.call(holder, key, value, path);
+        }
+
+        // 共享和循环引用在副本中保持共享
+        if (copies.has(value)) {
+            return copies.get(value);
+        }
+
+        if (Array.isArray(value)) {
+            const result = [];
+            copies.set(value, result);
+            for (let i = 0; i < value.length; i++) {
+                const replaced = this._applyReplacer(replacer, value, String(i), value[i], path.concat(i), copies);
+                // 与 JSON 一致，数组中无法表示的值写为 None
+                result.push(replaced === undefined || typeof replaced === 'function' ? null : replaced);
+            }
+            return result;
+        }
+
+        if (this._isPlainObject(value)) {
+            const allowList = Array.isArray(replacer) ? replacer.map(String) : null;
+            const result = {};
+            copies.set(value, result);
+            for (const k of Object.keys(value)) {
+                if (allowList && !allowList.includes(k)) continue;
+
+                const replaced = this._applyReplacer(replacer, value, k, value[k], path.concat(k), copies);
+                if (replaced !== undefined && typeof replaced !== 'function') {
+                    this._define(result, k, replaced);
+                }
+            }
+            return result;
+        }
+
+        return value;
+    }
+
+    /**
+     * 按首次出现的顺序收集被引用多次（包括循环引用）的数组和对象
+     */
+    _collectShared(root) {
+        const counts = new Map();
+        const visit = value => {
+            if (!Array.isArray(value) && !this._isPlainObject(value)) return;
+
+            const count = counts.get(value) || 0;
+            counts.set(value, count + 1);
+            if (count > 0) return;
+
+            for (const item of Object.values(value)) {
+                visit(item);
+            }
+        };
+        visit(root);
+
+        return Array.from(counts.keys()).filter(value => counts.get(value) > 1);
+    }
+
+    _checkCycles(value, path, ancestors) {
+        if (!Array.isArray(value) && !this._isPlainObject(value)) return;
+
+        const index = ancestors.findIndex(ancestor => ancestor.value === value);
+        if (index !== -1) {
+            throw new TypeError(
+                `Converting circular structure to Simple: ${this._formatPath(path)} refers to ${this._formatPath(ancestors[index].path)}`
+            );
+        }
+
+        ancestors.push({ value, path });
+        for (const key of Object.keys(value)) {
+            this._checkCycles(value[key], path.concat(Array.isArray(value) ? Number(key) : key), ancestors);
+        }
+        ancestors.pop();
+    }
+
+    /**
+     * 将路径格式化为 a.b[2] 的形式
+     */
+    _formatPath(keys) {
+        if (keys.length === 0) return '(root)';
+
+        let result = '';
+        for (const key of keys) {
+            if (typeof key === 'number') {
+                result += `[${key}]`;
+            } else if (key === '' || key === '*' || /[.[\]"'\\]|^\s|\s$/.test(key)) {
+                // 含点、括号或引号的键写为 ["..."]，与 parsePath 对应
+                result += `["${this._escapeString(key)}"]`;
+            } else {
+                result += result ? `.${key}` : key;
+            }
+        }
+        return result;
+    }
+
+    _isPlainObject(value) {
+        if (value === null || typeof value !== 'object') return false;
+        const proto = Object.getPrototypeOf(value);
+        return proto === Object.prototype || proto === null;
+    }
+
+    // ============ 严格模式 ============
+
+    /**
+     * 严格模式（strict: true）按以下文法检查，违反时报告括号中的错误码：
+     *
+     *   document      = { line }
+     *   line          = indent ( entry | value | include | anchor ) [ comment ]
+     *   indent        = { " " } | { "\t" }                    一个文档中只能使用一种缩进字符（E_MIXED_INDENT）
+     *                                                         空格缩进必须是第一个缩进行宽度的整数倍（E_INDENT_WIDTH）
+     *   entry         = key ":" [ value ]
+     *   key           = index | index "-" index | "-" | name
+     *   value         = scalar | string | inline-array | inline-object | "[]" | "{}"
+     *   inline-array  = "[" [ value { "," value } ] "]"     括号必须成对（E_UNBALANCED_BRACKET）
+     *   inline-object = "{" [ entry { "," entry } ] "}"
+     *   string        = '"' { char } '"' | "'" { char } "'"  必须在本行闭合（E_UNTERMINATED_STRING）
+     *   comment       = "//" 至行尾 | "#" 至行尾 | "/*" 至 "*\/"  块注释必须闭合（E_UNTERMINATED_COMMENT）
+     *   block-string  = ( "|" | "|-" | "|+" ) 之后缩进更深的行，见 _findBlockStrings
+     *
+     * 缩进按块记录，类似 Python 的缩进栈：
+     *   - 值为 [] / {} 的条目开始一个块，块中第一行决定子元素的缩进，必须比条目深
+     *   - 比所在块的子元素更深的行报告 E_UNEXPECTED_INDENT
+     *   - 回退的缩进必须与某个外层块的子元素相同，否则报告 E_INCONSISTENT_DEDENT
+     *   - arrayFormat 为 'values' 时数组块中只能写值，不能写 key: value（E_KEY_IN_VALUES_ARRAY）
+     *
+     * 无引号字符串中的引号、[ ] { } 同样按语法字符处理，需要时应写成带引号的字符串。
+     * lines 为文档的原始行，firstLine 为第一行的行号
+     */
+    _checkLexical(lines, firstLine) {
+        let comment = null; // 未闭合的 /* 的位置
+        // 块字符串的正文不做检查
+        const bodies = new Set();
+        for (const block of this._findBlockStrings(lines)) {
+            for (let i = block.start; i < block.end; i++) {
+                bodies.add(i);
+            }
+        }
+
+        lines.forEach((text, i) => {
+            const line = firstLine + i;
+            let string = null; // 未闭合的引号及其位置
+            if (bodies.has(i)) return;
+
+            for (let j = 0; j < text.length; j++) {
+                const char = text[j];
+                const nextChar = text[j + 1];
+
+                if (comment) {
+                    if (char === '*' && nextChar === '/') {
+                        comment = null;
+                        j++;
+                    }
+                } else if (string) {
+                    if (char === '\\') {
+                        j++;
+                    } else if (char === string.char) {
+                        string = null;
+                    }
+                } else if (char === '"' || char === "'") {
+                    string = { char, line, column: j + 1 };
+                } else if (char === '/' && nextChar === '*') {
+                    comment = { line, column: j + 1 };
+                    j++;
+                } else if ((char === '/' && nextChar === '/') || char === '#') {
+                    break;
+                }
+            }
+
+            if (string) {
+                this._report(this._error('E_UNTERMINATED_STRING', `Unterminated string starting with ${string.char}`, string));
+            }
+        });
+
+        if (comment) {
+            this._report(this._error('E_UNTERMINATED_COMMENT', 'Unterminated block comment', comment));
+        }
+    }
+
+    /**
+     * 严格模式下的缩进宽度，不能混用制表符和空格，必须是缩进单位的整数倍；出错时返回 null
+     */
+    _strictIndent(line, pos, state) {
+        const leading = line.match(/^[ \t]*/)[0];
+        const name = char => (char === '\t' ? 'tabs' : 'spaces');
+
+        if (leading.includes(' ') && leading.includes('\t')) {
+            this._report(this._error('E_MIXED_INDENT', 'Indentation mixes tabs and spaces', pos));
+            return null;
+        }
+        if (leading) {
+            if (!state.indentChar) {
+                state.indentChar = leading[0];
+            } else if (leading[0] !== state.indentChar) {
+                this._report(this._error('E_MIXED_INDENT',
+                    `Indentation uses ${name(leading[0])}, but the document is indented with ${name(state.indentChar)}`, pos));
+                return null;
+            }
+        }
+        // 与非严格模式按缩进单位计算层级的方式一致，不是整数倍的缩进无法确定层级
+        if (leading.length % this.indentSize !== 0) {
+            this._report(this._error('E_INDENT_WIDTH',
+                `Indentation of ${leading.length} ${name(leading[0])} is not a multiple of ${this.indentSize}`, pos));
+            return null;
+        }
+        return leading.length;
+    }
+
+    /**
+     * 检查行的缩进与所在块的子元素一致，块中第一行决定子元素的缩进
+     */
+    _checkBlockIndent(block, indent, pos) {
+        if (block.childIndent === undefined) {
+            block.childIndent = indent;
+            return true;
+        }
+        if (indent === block.childIndent) {
+            return true;
+        }
+
+        if (indent > block.childIndent) {
+            this._report(this._error('E_UNEXPECTED_INDENT', 'Unexpected indentation', pos));
+        } else {
+            this._report(this._error('E_INCONSISTENT_DEDENT', 'Dedent does not match any outer indentation level', pos));
+        }
+        return false;
+    }
+
+    /**
+     * 检查引号之外的 [ ] { } 成对出现
+     */
+    _checkBrackets(text, pos) {
+        const pairs = { '[': ']', '{': '}' };
+        const open = [];
+        let stringChar = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            const column = pos.column + i;
+
+            if (stringChar) {
+                if (char === '\\') {
+                    i++;
+                } else if (char === stringChar) {
+                    stringChar = null;
+                }
+            } else if (char === '"' || char === "'") {
+                stringChar = char;
+            } else if (pairs[char]) {
+                open.push({ char, column });
+            } else if (char === ']' || char === '}') {
+                const last = open.pop();
+                if (!last || pairs[last.char] !== char) {
+                    this._report(this._error('E_UNBALANCED_BRACKET', `Unexpected ${char}`, { ...pos, column }));
+                    return false;
+                }
+            }
+        }
+
+        if (open.length > 0) {
+            const last = open[open.length - 1];
+            this._report(this._error('E_UNBALANCED_BRACKET', `Unclosed ${last.char}`, { ...pos, column: last.column }));
+            return false;
+        }
+        return true;
+    }
+
+    // ============ 序列化相关方法 ============
+
+    _objectToSimple(obj, level, options) {
+        if (obj === null) return 'None';
+
+        const tag = this._findTag(obj);
+        if (tag) return this._formatTagged(tag, obj, level, options);
+
+        // 共享的值第一次出现时定义锚点，之后写为别名
+        let anchor = '';
+        if (this._refNames && this._refNames.has(obj)) {
+            const name = this._refNames.get(obj);
+            if (this._emitted.has(obj)) return `*${name}`;
+            this._emitted.add(obj);
+            anchor = `&${name} `;
+        }
+
+        if (typeof obj === 'number') return this._formatNumber(obj);
+        if (typeof obj === 'boolean') return obj.toString();
+        if (typeof obj === 'string') {
+            if (options.interpolate) {
+                obj = obj.replace(/\$\{/g, () => '$${');
+            }
+            // 判断是否需要引号，compact 形式的根字符串总是加引号，否则无法作为文档读回
+            if (this._needsQuotes(obj) || (options.compact && !this.outerParsed)) {
+                return `"${this._escapeString(obj)}"`;
+            }
+            return this._escapeString(obj);
+        }
+
+        if (Array.isArray(obj)) {
+            if (obj.length === 0) return `${anchor}[]`;
+            // 数组中的对象不是顶层对象
+            this.outerParsed = true;
+            // 无法表示的元素写为 None，空洞保持不变
+            if (obj.some(item => this._isOmitted(item))) {
+                const copy = new Array(obj.length);
+                obj.forEach((item, i) => {
+                    copy[i] = this._isOmitted(item) ? null : item;
+                });
+                obj = copy;
+            }
+
+            // compact 形式中内联数组无法跳过索引，空洞写为填充值，没有填充值时写为 None
+            if (options.compact) {
+                const fill = this._holeValue({ policy: options.holes, value: options.holeValue });
+                const items = Array.from(obj, (item, i) =>
+                    this._objectToSimple(i in obj ? item : (fill === undefined ? null : fill), level, options)
+                );
+                return `${anchor}[${items.join(', ')}]`;
+            }
+
+            // 末尾的空洞写为填充值，没有填充值时写为 None，以保留数组长度
+            if (!(obj.length - 1 in obj)) {
+                const fill = this._holeValue({ policy: options.holes, value: options.holeValue });
+                obj = obj.slice();
+                obj[obj.length - 1] = fill === undefined ? null : fill;
+            }
+
+            const skip = this._skippedIndices(obj, options);
+            const hasGaps = skip.includes(true);
+
+            // 检查是否应该内联
+            if (!hasGaps && this._shouldInlineArray(obj, options)) {
+                const items = obj.map(item => this._objectToSimple(item, level, options));
+                return `${anchor}[${items.join(', ')}]`;
+            }
+
+            // 多行数组
+            let result = '[]\n';
+
+            if (options.arrayFormat === 'values' && !hasGaps) {
+                // 纯值数组格式（有省略的元素时只能用索引格式）
+                for (let i = 0; i < obj.length; i++) {
+                    const indent = this._getIndentString(level, options);
+                    const valueStr = this._formatEntryValue(obj[i], level + 1, options);
+                    result += `${indent}${valueStr}\n`;
+                }
+            } else {
+                // 索引格式，支持区间表示
+                let i = 0;
+                while (i < obj.length) {
+                    if (skip[i]) {
+                        i++;
+                        continue;
+                    }
+
+                    // 查找连续相同值的区间
+                    let j = i + 1;
+                    while (j < obj.length && !skip[j] && this._isEqual(obj[i], obj[j])) {
+                        j++;
+                    }
+
+                    const indent = this._getIndentString(level, options);
+                    const valueStr = this._formatEntryValue(obj[i], level + 1, options);
+
+                    if (j - i > 1) {
+                        // 连续相同值，使用区间表示
+                        result += `${indent}${i}-${j - 1}: ${valueStr}\n`;
+                    } else {
+                        result += `${indent}${i}: ${valueStr}\n`;
+                    }
+
+                    i = j;
+                }
+            }
+            return anchor + result.trim();
+        }
+
+        if (typeof obj === 'object') {
+            const entries = Object.entries(obj).filter(([, value]) => !this._isOmitted(value));
+            if (entries.length < Object.keys(obj).length) {
+                obj = Object.fromEntries(entries);
+            }
+
+            // 检查是否应该内联（顶层对象除 compact 形式外总是逐行输出）
+            if (options.compact || (this.outerParsed && this._shouldInlineObject(obj, options))) {
+                this.outerParsed = true;
+                const pairs = entries.map(([key, value]) =>
+                    `${this._formatKey(key)}: ${this._objectToSimple(value, level, options)}`
+                );
+                return `${anchor}{${pairs.join(', ')}}`;
+            }
+
+            let result = '';
+            if (this.outerParsed) {
+                result = `${anchor}{}\n`;
+            } else {
+                this.outerParsed = true;
+                // 顶层对象的锚点单独占一行
+                if (anchor) {
+                    result = `${anchor.trim()}\n`;
+                }
+            }
+
+            for (const [key, value] of entries) {
+                const indent = this._getIndentString(level, options);
+                const valueStr = this._formatEntryValue(value, level + 1, options);
+                result += `${indent}${this._formatKey(key)}: ${valueStr}\n`;
+            }
+            return result.trim();
+        }
+
+        return '';
+    }
+
+    /**
+     * 无法写出的值：undefined、函数和 symbol
+     */
+    _isOmitted(value) {
+        return value === undefined || typeof value === 'function' || typeof value === 'symbol';
+    }
+
+    /**
+     * 序列化独占一行的条目值，较长的多行字符串写为块字符串
+     */
+    _formatEntryValue(value, level, options) {
+        if (typeof value === 'string') {
+            const block = this._formatBlockString(value, level, options);
+            if (block !== null) return block;
+        }
+        return this._objectToSimple(value, level, options);
+    }
+
+    /**
+     * 写为 | 或 |- 块字符串，正文缩进到 level；重新缩进后无法原样读回的字符串返回 null
+     */
+    _formatBlockString(str, level, options) {
+        if (options.blockStrings === false || !str.includes('\n') || str.length < options.blockStrings) {
+            return null;
+        }
+        if (options.interpolate) {
+            str = str.replace(/\$\{/g, () => '$${');
+        }
+
+        // 多个末尾换行需要 |+，但文档末尾的空行容易被编辑器改动，不使用块字符串
+        if (str.includes('\r') || str.endsWith('\n\n')) return null;
+        const chomp = str.endsWith('\n') ? '' : '-';
+        const lines = (chomp ? str : str.slice(0, -1)).split('\n');
+        // 行尾空白会被 trim，全部行都有缩进时会被当作共同缩进去掉
+        if (lines.some(line => /[ \t]$/.test(line)) || !lines.some(line => /^[^ \t]/.test(line))) {
+            return null;
+        }
+
+        const indent = this._getIndentString(level, options);
+        return `|${chomp}\n${lines.map(line => (line ? indent + line : '')).join('\n')}`;
+    }
+
+    _findTag(value) {
+        if (value === null || (typeof value !== 'object' && typeof value !== 'bigint')) {
+            return null;
+        }
+        if (this._isPlainObject(value) || Array.isArray(value)) {
+            return null;
+        }
+
+        const names = Array.from(this.tags.keys());
+        for (let i = names.length - 1; i >= 0; i--) {
+            if (this.tags.get(names[i]).test(value)) {
+                return names[i];
+            }
+        }
+        return null;
+    }
+
+    _formatTagged(name, value, level, options) {
+        const data = this.tags.get(name).serialize(value);
+
+        if (typeof data === 'string') {
+            // 标签后的字符串按原样读取，只有会破坏结构的内容才需要引号
+            if (data === '') return `!${name}`;
+            const unsafe = /^\s|\s$/.test(data) || /[,[\]{}#"'\\\n\r\t]|\/\/|\/\*/.test(data);
+            return `!${name} ${unsafe ? `"${this._escapeString(data)}"` : data}`;
+        }
+
+        // 容器载荷沿用普通格式，多行时子元素继续缩进
+        const wasOuterParsed = this.outerParsed;
+        this.outerParsed = true;
+        const payload = this._objectToSimple(data, level, options);
+        this.outerParsed = wasOuterParsed;
+        return `!${name} ${payload}`;
+    }
+
+    _isEqual(a, b) {
+        if (typeof a !== typeof b) return false;
+
+        if (a === null || b === null) {
+            return a === b;
+        }
+
+        // 带标签的值按标签和序列化后的载荷比较
+        const tagA = this._findTag(a);
+        const tagB = this._findTag(b);
+        if (tagA || tagB) {
+            return tagA === tagB &&
+                this._isEqual(this.tags.get(tagA).serialize(a), this.tags.get(tagB).serialize(b));
+        }
+
+        if (typeof a === 'object') {
+            // 带锚点的值只与自身相等，同时避免在循环结构上无限递归
+            if (a === b) return true;
+            if (this._refNames && (this._refNames.has(a) || this._refNames.has(b))) return false;
+
+            if (Array.isArray(a) && Array.isArray(b)) {
+                if (a.length !== b.length) return false;
+                for (let i = 0; i < a.length; i++) {
+                    if (!this._isEqual(a[i], b[i])) return false;
+                }
+                return true;
+            } else if (!Array.isArray(a) && !Array.isArray(b)) {
+                const keysA = Object.keys(a);
+                const keysB = Object.keys(b);
+                if (keysA.length !== keysB.length) return false;
+                for (const key of keysA) {
+                    if (!this._isEqual(a[key], b[key])) return false;
+                }
+                return true;
+            }
+            return false;
+        }
+
+        // Object.is 区分 0 与 -0，并视 NaN 为相等
+        return Object.is(a, b);
+    }
+
+    _needsQuotes(str) {
+        // 如果包含特殊字符、数字开头、或者可能被识别为其他标量类型，需要引号
+        if (str === '') return true;
+        if (/^\d/.test(str) || this._isNumber(str)) return true;
+        if (str === 'None' || str === 'true' || str === 'false') return true;
+        // ! 开头会被识别为类型标签
+        if (str.startsWith('!')) return true;
+        // & 和 * 开头会被识别为锚点和别名
+        if (/^[&*]/.test(str)) return true;
+        // 单独成行时会被识别为 @include 指令
+        if (SimpleParser.INCLUDE_PATTERN.test(str)) return true;
+        // 块字符串标记
+        if (/^\|[+-]?$/.test(str)) return true;
+        if (str.includes(':') || str.includes(',') || str.includes('[') ||
+            str.includes(']') || str.includes('{') || str.includes('}')) return true;
+        if (/^\s|\s$/.test(str)) return true;
+        // 注释标记、引号、反斜杠和控制字符
+        if (/[#"'\\\n\r\t]|\/\/|\/\*/.test(str)) return true;
+        return false;
+    }
+
+    /**
+     * 需要时为键加引号：含冒号、逗号、括号、注释符号、引号、反斜杠或控制字符，首尾有空白，空键，
+     * 与补足项和区间相像的 - 和 1-3，以及会被当作 @include 的 @ 开头的键
+     */
+    _formatKey(key) {
+        if (key === '' || /^\s|\s$/.test(key) || /[:,[\]{}#"'\\\u0000-\u001f]|\/\/|\/\*/.test(key) ||
+            /^-$|^\d+\s*-\s*\d+$/.test(key) || key.startsWith('@')) {
+            return `"${this._escapeString(key)}"`;
+        }
+        return key;
+    }
+
+    _escapeString(str) {
+        return str.replace(/[\n\r\t\\"]/g, match => {
             switch (match) {
                 case '\n': return '\\n';
+                case '\r': return '\\r';
                 case '\t': return '\\t';
                 case '\\': return '\\\\';
                 case '"': return '\\"';
@@ -659,20 +2468,33 @@ class SimpleParser {
         });
     }
 
-    _shouldInlineArray(arr) {
+    /**
+     * 数组中不写出的元素：空洞，以及 sparse 模式下等于填充值的元素（最后一个除外）
+     */
+    _skippedIndices(arr, options) {
+        const fill = options.sparse ? this._holeValue({ policy: options.holes, value: options.holeValue }) : undefined;
+        const skip = [];
+        for (let i = 0; i < arr.length; i++) {
+            skip.push(!(i in arr) || (fill !== undefined && i < arr.length - 1 && this._isEqual(arr[i], fill)));
+        }
+        return skip;
+    }
+
+    _shouldInlineArray(arr, options) {
         if (arr.length === 0) return true;
         if (arr.length > 3) return false;
 
-        // 检查元素复杂度
+        // 检查元素复杂度，需要写为块字符串的元素不能内联
         for (const item of arr) {
             if (typeof item === 'object' && item !== null) return false;
             if (Array.isArray(item) && item.length > 0) return false;
+            if (typeof item === 'string' && this._formatBlockString(item, 0, options) !== null) return false;
         }
 
         return true;
     }
 
-    _shouldInlineObject(obj) {
+    _shouldInlineObject(obj, options) {
         const entries = Object.entries(obj);
         if (entries.length === 0) return true;
         if (entries.length > 3) return false;
@@ -681,6 +2503,7 @@ class SimpleParser {
         for (const [_, value] of entries) {
             if (typeof value === 'object' && value !== null) return false;
             if (Array.isArray(value) && value.length > 0) return false;
+            if (typeof value === 'string' && this._formatBlockString(value, 0, options) !== null) return false;
         }
 
         return true;
@@ -693,67 +2516,598 @@ class SimpleParser {
     }
 }
 
-// ============ 使用示例 ============
-
-const parser = new SimpleParser();
-
-// 测试解析
-const simpleStr = `name: sam
-id: 21
-id_string: '21'
-teacher: {}
-    student_ids: [20, 21, 22, 31]
-/* 这样也可以，数列的子元素与\\t表示缩进
-\\tstudent_ids: []
-\\t\\t0: 20\\n\\t\\t1: 21  \\\\ 可以直接\\n表示换行，相当于json末尾的逗号
-\\t\\t2: 22
-\\t\\t3: 31
-*/
-// 通过缩进添加到数列时可以区间写数列
-test: []
-    1-3: 0
-    5-6: 1
-    -: 0 // - 来补足没有声明的0, 4`;
-
-console.log('解析结果:');
-const result = parser.parse(simpleStr);
-console.log(JSON.stringify(result, null, 2));
-
-// 测试序列化（使用区间表示）
-console.log('\n序列化结果 (使用区间表示):');
-const simpleOutput = parser.stringify(result, { indent: 2, arrayFormat: 'indexed' });
-console.log(simpleOutput);
-
-// 测试纯值数组格式解析
-const simpleValuesArray = `fruits: []
-    "apple"
-    "banana"
-    "cherry"
-numbers: []
-    1
-    2
-    3`;
-
-console.log('\n解析纯值数组格式:');
-const valuesResult = parser.parse(simpleValuesArray, { arrayFormat: 'values' });
-console.log(JSON.stringify(valuesResult, null, 2));
-
-// 测试序列化为纯值数组格式
-console.log('\n序列化为纯值数组格式:');
-const valuesOutput = parser.stringify(valuesResult, { indent: 2, arrayFormat: 'values' });
-console.log(valuesOutput);
-
-// 测试连续重复值的区间表示
-const arrayWithRepeats = {
-    name: "test",
-    data: [1, 1, 1, 2, 3, 3, 4, 4, 4, 4, 5]
-};
+/**
+ * 保留注释、空行、缩进和引号风格的可编辑文档
+ *
+ * 文档以原始行为准，只改写被编辑的区域，其余内容按字节原样输出
+ */
+class SimpleDocument {
+    constructor(source, parser, options = {}) {
+        this.parser = parser;
+        this.options = { arrayFormat: 'indexed', interpolate: false, env: {}, strict: false, ...options };
+
+        // 按行保存原文及各自的换行符
+        const parts = source.split(/(\r?\n)/);
+        this.lines = [];
+        for (let i = 0; i < parts.length; i += 2) {
+            this.lines.push({ text: parts[i], eol: parts[i + 1] || '' });
+        }
+        this._eol = source.includes('\r\n') ? '\r\n' : '\n';
+
+        this._rebuild();
+    }
+
+    /**
+     * 输出文档文本，未编辑的部分与原文完全一致
+     */
+    toString() {
+        return this.lines.map(line => line.text + line.eol).join('');
+    }
+
+    /**
+     * 将当前文档解析为 JavaScript 对象
+     */
+    toObject() {
+        const { arrayFormat, filename, loader, interpolate, env, strict } = this.options;
+        return this.parser.parse(this.toString(), { arrayFormat, filename, loader, interpolate, env, strict });
+    }
+
+    /**
+     * 设置路径上的值，缺少的中间层按下一段路径创建为 {} 或 []
+     */
+    set(path, value) {
+        const keys = this._normalizePath(path);
+        if (keys.length === 0) {
+            throw new Error('Cannot replace the document root');
+        }
+        keys.forEach(key => SimpleParser._checkKey(key));
+
+        for (let depth = 0; depth < keys.length; depth++) {
+            const container = this._resolve(keys.slice(0, depth));
+            const key = keys[depth];
+            const rest = keys.slice(depth + 1);
+            const entry = this._findChild(container, key);
+
+            if (!entry) {
+                const created = rest.length === 0 ? value : this._setPlain(undefined, rest, value);
+                this._insertEntry(container, key, created);
+                return this;
+            }
+
+            // 区间中的单个索引需要先拆分区间
+            if (entry.range && entry.range[0] !== entry.range[1]) {
+                this._splitRange(entry, Number(key));
+                depth--;
+                continue;
+            }
+
+            if (rest.length === 0) {
+                this._replaceValue(entry, value);
+                return this;
+            }
+
+            // 标量或内联容器：整体替换为修改后的值
+            if (!this._isBlock(entry)) {
+                const current = this.parser._parseValue(entry.valueText);
+                this._replaceValue(entry, this._setPlain(current, rest, value));
+                return this;
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * 删除路径上的值，返回是否存在并已删除
+     *
+     * 删除数组元素时其后的元素依次前移：显式索引和区间减一，补足项和纯值数组中的元素自然前移。
+     * 数组末尾只由填充产生的元素没有对应的条目，删除最后的条目后不再保留
+     */
+    delete(path) {
+        const keys = this._normalizePath(path);
+        if (keys.length === 0) {
+            throw new Error('Cannot delete the document root');
+        }
+        keys.forEach(key => SimpleParser._checkKey(key));
+
+        for (let depth = 0; depth < keys.length; depth++) {
+            const container = this._resolve(keys.slice(0, depth));
+            const key = keys[depth];
+            const rest = keys.slice(depth + 1);
+            const entry = this._findChild(container, key);
+
+            if (!entry) {
+                // 数组中间没有条目的空位：其后的元素前移
+                const index = Number(key);
+                if (container.type === 'array' && rest.length === 0 &&
+                    container.children.some(child => child.indices.some(i => i > index))) {
+                    this._shiftIndices(container, null, index);
+                    this._rebuild();
+                    return true;
+                }
+                return false;
+            }
+
+            if (entry.range && entry.range[0] !== entry.range[1]) {
+                this._splitRange(entry, Number(key));
+                depth--;
+                continue;
+            }
+
+            if (rest.length === 0) {
+                // 与 SimpleParser.delete 相同，数组元素被移除后其后的元素前移
+                if (container.type === 'array') {
+                    this._shiftIndices(container, entry, Number(key));
+                }
+                this._spliceLines(entry.line, entry.endLine - entry.line + 1, []);
+                this._rebuild();
+                return true;
+            }
+
+            if (!this._isBlock(entry)) {
+                const current = this.parser._parseValue(entry.valueText);
+                if (!this._deletePlain(current, rest)) return false;
+                this._replaceValue(entry, current);
+                return true;
+            }
+        }
+
+        return false;
+    }
 
-console.log('\n测试连续重复值区间表示:');
-const repeatOutput = parser.stringify(arrayWithRepeats, { indent: 2, arrayFormat: 'indexed' });
-console.log(repeatOutput);
+    // ============ 文档结构 ============
 
-// 测试循环解析和序列化
-console.log('\n循环测试 (解析 -> 序列化 -> 再解析):');
-const reParsed = parser.parse(simpleOutput);
-console.log(JSON.stringify(reParsed, null, 2));
+    /**
+     * 根据当前行重新建立条目树
+     */
+    _rebuild() {
+        const parser = this.parser;
+        // 块字符串的正文不是条目，归入标记所在的条目
+        const bodyEnds = new Map();
+        const bodies = new Set();
+        const texts = this.lines.map(line => line.text);
+        // 文本以换行结尾时最后的空行不是一行
+        const last = this.lines[this.lines.length - 1];
+        const count = last.text === '' && last.eol === '' ? texts.length - 1 : texts.length;
+        for (const block of parser._findBlockStrings(texts.slice(0, count))) {
+            bodyEnds.set(block.line, block.end - 1);
+            for (let i = block.start; i < block.end; i++) {
+                bodies.add(i);
+            }
+        }
+        const state = { inBlock: false };
+        const leadings = [];
+        const masked = texts.map((text, i) => {
+            if (bodies.has(i)) {
+                leadings.push('');
+                return '';
+            }
+            // 与 parse 相同，缩进取去掉注释后的行首空白
+            leadings.push(parser._removeComments((state.inBlock ? '/*' : '') + text).match(/^[ \t]*/)[0]);
+            return parser._maskComments(text, state);
+        });
+
+        // 与 parse 使用相同的缩进检测
+        parser._detectIndentType(masked.map((text, i) => ({ text: leadings[i] + text.trim() })));
+        this._indentUnit = parser.indentType === 'tab' ? '\t' : ' '.repeat(parser.indentSize);
+
+        this.root = { type: 'object', children: [], level: -1, indentText: '', line: -1, endLine: -1 };
+        const build = {
+            stack: [this.root], // 当前行的祖先条目
+            bodyEnds,
+            // 严格模式下按 parse 的缩进检查跳过同样的行，错误由 parse 报告，这里不收集
+            strict: this.options.strict ? { indentChar: null } : null,
+            blocks: new Map([[this.root, { childIndent: 0 }]]) // 条目 -> 块中子元素的缩进
+        };
+        const saved = { recover: parser._recover, errors: parser._errors };
+        parser._recover = true;
+        parser._errors = [];
+
+        try {
+            masked.forEach((text, lineIndex) => this._addLine(build, text, lineIndex, leadings[lineIndex]));
+        } finally {
+            parser._recover = saved.recover;
+            parser._errors = saved.errors;
+        }
+
+        this._resolveIndices(this.root);
+    }
+
+    /**
+     * 把一行加入条目树，build 为 _rebuild 中的状态
+     */
+    _addLine(build, text, lineIndex, leading) {
+        const parser = this.parser;
+        const { stack, strict, blocks, bodyEnds } = build;
+        const trimmed = text.trim();
+        if (!trimmed) return;
+
+        const pos = { line: lineIndex + 1, column: text.length - text.trimStart().length + 1 };
+        let level;
+        if (strict) {
+            const width = parser._strictIndent(leading, pos, strict);
+            if (width === null) return;
+            level = width / parser.indentSize;
+        } else {
+            level = parser._getIndentLevel(leading);
+        }
+        while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+            stack.pop();
+        }
+        const parent = stack[stack.length - 1];
+        if (strict) {
+            if (!blocks.has(parent)) blocks.set(parent, {});
+            if (!parser._checkBlockIndent(blocks.get(parent), level, pos)) return;
+        }
+
+        // @include 行原样保留，被包含的条目不能通过文档编辑
+        if (SimpleParser.INCLUDE_PATTERN.test(trimmed)) {
+            for (const ancestor of stack) {
+                ancestor.endLine = lineIndex;
+            }
+            return;
+        }
+
+        const codeStart = text.length - text.trimStart().length;
+        const codeEnd = text.trimEnd().length;
+        const code = text.substring(codeStart, codeEnd);
+        const split = parser._splitKey(code);
+        const entry = {
+            line: lineIndex,
+            endLine: lineIndex,
+            level,
+            indentText: this.lines[lineIndex].text.substring(0, codeStart),
+            children: [],
+            parent
+        };
+
+        if (parser._findSeparator(code) === -1 && this.options.arrayFormat === 'values' && parent.type === 'array') {
+            // 纯值数组中的值行
+            entry.key = '-';
+            entry.isValue = true;
+            entry.valueStart = codeStart;
+        } else {
+            const separator = split ? split.colon : -1;
+            entry.key = split ? split.key : '';
+            entry.quotedKey = Boolean(split && split.quoted);
+            entry.keyStart = codeStart;
+            entry.keyEnd = codeStart + code.substring(0, separator).trimEnd().length;
+            const afterColon = codeStart + separator + 1;
+            entry.valueStart = afterColon + (text.substring(afterColon, codeEnd).length -
+                text.substring(afterColon, codeEnd).trimStart().length);
+        }
+        entry.valueEnd = Math.max(entry.valueStart, codeEnd);
+        entry.valueText = this.lines[lineIndex].text.substring(entry.valueStart, entry.valueEnd);
+        entry.type = parser._getValueType(entry.valueText);
+
+        const range = !entry.quotedKey && entry.key.match(/^(\d+)\s*-\s*(\d+)$/);
+        if (range) {
+            entry.range = [Number(range[1]), Number(range[2])];
+        }
+
+        parent.children.push(entry);
+        if (bodyEnds.has(lineIndex)) {
+            entry.endLine = bodyEnds.get(lineIndex);
+        }
+        // 更新所有祖先块的结束行
+        for (const ancestor of stack) {
+            ancestor.endLine = entry.endLine;
+        }
+
+        if (entry.type === 'object' || entry.type === 'array') {
+            stack.push(entry);
+        }
+    }
+
+    /**
+     * 为数组子项计算实际索引，规则与 _astToObject 相同
+     */
+    _resolveIndices(container) {
+        if (container.type === 'array') {
+            const explicit = new Set();
+            const dashes = [];
+
+            for (const child of container.children) {
+                child.indices = [];
+                if (child.key === '-') {
+                    dashes.push(child);
+                } else if (child.range) {
+                    for (let i = child.range[0]; i <= child.range[1]; i++) {
+                        child.indices.push(i);
+                        explicit.add(i);
+                    }
+                } else if (/^\d+$/.test(child.key)) {
+                    child.indices.push(Number(child.key));
+                    explicit.add(Number(child.key));
+                }
+            }
+
+            let currentIndex = 0;
+            for (const dash of dashes) {
+                while (explicit.has(currentIndex)) {
+                    currentIndex++;
+                }
+                dash.indices.push(currentIndex++);
+            }
+        }
+
+        for (const child of container.children) {
+            this._resolveIndices(child);
+        }
+    }
+
+    /**
+     * 路径语法与 SimpleParser.parsePath 相同，编辑只针对单个位置，不接受区间和通配符
+     */
+    _normalizePath(path) {
+        if (path === null || path === undefined) return [];
+        return SimpleParser.parsePath(Array.isArray(path) ? path : String(path)).map(segment => {
+            if (segment.type === 'key') return segment.key;
+            if (segment.type === 'index') return String(segment.index);
+            throw new Error(`Cannot edit ${segment.type === 'range' ? 'a range' : 'a wildcard'} in a document path: ${path}`);
+        });
+    }
+
+    _resolve(keys) {
+        let node = this.root;
+        for (const key of keys) {
+            node = this._findChild(node, key);
+        }
+        return node;
+    }
+
+    _findChild(container, key) {
+        if (container.type === 'array') {
+            if (!/^\d+$/.test(key)) return null;
+            const index = Number(key);
+            // 显式索引与区间优先于补足项，后出现的覆盖先出现的
+            const matches = container.children.filter(child => child.indices.includes(index));
+            const explicit = matches.filter(child => child.key !== '-');
+            return explicit.length ? explicit[explicit.length - 1] : (matches[0] || null);
+        }
+
+        for (let i = container.children.length - 1; i >= 0; i--) {
+            if (container.children[i].key === key) {
+                return container.children[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 是否是可以通过缩进继续添加子项的块（{} / [] 标记）
+     */
+    _isBlock(entry) {
+        return entry.children.length > 0 || entry.valueText === '{}' || entry.valueText === '[]';
+    }
+
+    // ============ 编辑操作 ============
+
+    _replaceValue(entry, value) {
+        const line = this.lines[entry.line];
+        const { first, rest } = this._renderValue(value, entry.indentText, entry.valueText);
+        const before = line.text.substring(0, entry.valueStart);
+        const after = line.text.substring(entry.valueEnd);
+        const gap = !entry.isValue && !/\s$/.test(before) ? ' ' : '';
+
+        line.text = before + gap + first + after;
+        // 原有的子块被新值的子块取代
+        this._spliceLines(entry.line + 1, entry.endLine - entry.line, rest);
+        this._rebuild();
+    }
+
+    _insertEntry(container, key, value) {
+        let indentText;
+        if (container.children.length > 0) {
+            indentText = container.children[0].indentText;
+        } else {
+            indentText = container === this.root ? '' : container.indentText + this._indentUnit;
+        }
+
+        let position;
+        if (container.endLine >= 0) {
+            position = container.endLine + 1;
+        } else {
+            // 没有任何条目的文档追加到末尾（末尾换行之前）
+            position = this.lines.length;
+            if (position > 0 && this.lines[position - 1].text === '') {
+                position--;
+            }
+        }
+
+        const { first, rest } = this._renderValue(value, indentText, null);
+        const texts = [`${indentText}${this.parser._formatKey(key)}: ${first}`, ...rest];
+
+        // 文档为空时直接替换唯一的空行
+        if (this.lines.length === 1 && this.lines[0].text === '') {
+            this._spliceLines(0, 0, texts);
+        } else {
+            this._spliceLines(position, 0, texts);
+        }
+        this._rebuild();
+    }
+
+    /**
+     * 删除 index 处的元素前，把其后的显式索引和区间减一；补足项按剩余的空位自动前移
+     */
+    _shiftIndices(container, removed, index) {
+        for (const child of container.children) {
+            if (child === removed || child.key === '-' || child.indices[0] < index) continue;
+            const [start, end] = child.range || [child.indices[0], child.indices[0]];
+            const key = start === end ? String(start - 1) : `${start - 1}-${end - 1}`;
+            const line = this.lines[child.line];
+            line.text = line.text.substring(0, child.keyStart) + key + line.text.substring(child.keyEnd);
+        }
+    }
+
+    _splitRange(entry, index) {
+        const [start, end] = entry.range;
+        const block = this.lines.slice(entry.line, entry.endLine + 1).map(line => line.text);
+        const head = block[0];
+        const texts = [];
+
+        for (const [a, b] of [[start, index - 1], [index, index], [index + 1, end]]) {
+            if (a > b) continue;
+            const key = a === b ? String(a) : `${a}-${b}`;
+            texts.push(head.substring(0, entry.keyStart) + key + head.substring(entry.keyEnd), ...block.slice(1));
+        }
+
+        this._spliceLines(entry.line, block.length, texts);
+        this._rebuild();
+    }
+
+    /**
+     * 将值渲染为首行文本和后续的子块行
+     */
+    _renderValue(value, indentText, previousText) {
+        const parser = this.parser;
+
+        // 保留原来的引号风格
+        if (typeof value === 'string' && previousText && parser._isQuoted(previousText)) {
+            const quote = previousText[0];
+            let body = parser._escapeString(this.options.interpolate ? value.replace(/\$\{/g, () => '$${') : value);
+            if (quote === "'") {
+                body = body.replace(/\\"/g, '"').replace(/'/g, "\\'");
+            }
+            return { first: quote + body + quote, rest: [] };
+        }
+
+        const unit = this._indentUnit;
+        parser.outerParsed = true;
+        const text = parser._formatEntryValue(value, 1, {
+            indent: unit === '\t' ? 1 : unit.length,
+            indentChar: unit[0],
+            arrayFormat: this.options.arrayFormat,
+            interpolate: this.options.interpolate,
+            blockStrings: 40
+        });
+        const [first, ...rest] = text.split('\n');
+        return { first, rest: rest.map(line => indentText + line) };
+    }
+
+    /**
+     * 替换从 start 开始的 deleteCount 行，保持文件末尾是否有换行不变
+     */
+    _spliceLines(start, deleteCount, texts) {
+        const finalEol = this.lines[this.lines.length - 1].eol;
+        this.lines.splice(start, deleteCount, ...texts.map(text => ({ text, eol: this._eol })));
+
+        if (this.lines.length === 0) {
+            this.lines.push({ text: '', eol: '' });
+            return;
+        }
+        for (let i = Math.max(0, start - 1); i < this.lines.length - 1; i++) {
+            if (this.lines[i].eol === '') {
+                this.lines[i].eol = this._eol;
+            }
+        }
+        this.lines[this.lines.length - 1].eol = finalEol;
+    }
+
+    _setPlain(target, keys, value) {
+        if (keys.length === 0) return value;
+
+        const [key, ...rest] = keys;
+        if (target === null || typeof target !== 'object') {
+            target = /^\d+$/.test(key) ? [] : {};
+        }
+        target[key] = this._setPlain(target[key], rest, value);
+        return target;
+    }
+
+    _deletePlain(target, keys) {
+        const [key, ...rest] = keys;
+        if (target === null || typeof target !== 'object' || !Object.prototype.hasOwnProperty.call(target, key)) {
+            return false;
+        }
+        if (rest.length > 0) {
+            return this._deletePlain(target[key], rest);
+        }
+        if (Array.isArray(target)) {
+            target.splice(Number(key), 1);
+        } else {
+            delete target[key];
+        }
+        return true;
+    }
+}
+
+/**
+ * 单独一行的包含指令：@include "path" 或 @include path
+ */
+SimpleParser.INCLUDE_PATTERN = /^@include\s+(.+)$/;
+
+/**
+ * 路径操作中不允许的键，见 SimpleParser._checkSegments
+ */
+SimpleParser.UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * 多文档的分隔行，从行首开始，可以带注释
+ */
+SimpleParser.SEPARATOR_PATTERN = /^---\s*$/;
+
+/**
+ * 分层合并中的删除标记，写作 !delete
+ */
+SimpleParser.DELETE = Object.freeze(new SimpleDeleteMarker());
+
+/**
+ * 内置类型标签
+ */
+SimpleParser.builtinTags = {
+    delete: {
+        test: value => value === SimpleParser.DELETE,
+        serialize: () => '',
+        deserialize: () => SimpleParser.DELETE
+    },
+    date: {
+        test: value => value instanceof Date,
+        serialize: value => (isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString()),
+        deserialize: data => new Date(data)
+    },
+    bigint: {
+        test: value => typeof value === 'bigint',
+        serialize: value => value.toString(),
+        deserialize: data => BigInt(data)
+    },
+    regexp: {
+        test: value => value instanceof RegExp,
+        serialize: value => value.toString(),
+        deserialize: data => {
+            const match = String(data).match(/^\/([\s\S]*)\/([a-z]*)$/);
+            if (!match) throw new Error(`expected /pattern/flags, got ${data}`);
+            return new RegExp(match[1], match[2]);
+        }
+    },
+    // Map 写为 [键, 值] 对的数组，Set 写为元素数组
+    map: {
+        test: value => value instanceof Map,
+        serialize: value => Array.from(value.entries()),
+        deserialize: data => new Map(data)
+    },
+    set: {
+        test: value => value instanceof Set,
+        serialize: value => Array.from(value),
+        deserialize: data => new Set(data)
+    },
+    // 二进制数据写为 base64，读回为 Uint8Array
+    binary: {
+        test: value => value instanceof ArrayBuffer || ArrayBuffer.isView(value),
+        serialize: value => {
+            const bytes = value instanceof ArrayBuffer
+                ? new Uint8Array(value)
+                : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+            let binary = '';
+            for (const byte of bytes) {
+                binary += String.fromCharCode(byte);
+            }
+            return btoa(binary);
+        },
+        deserialize: data => Uint8Array.from(atob(data), char => char.charCodeAt(0))
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimpleParser, SimpleParseError, SimpleDocument };
+}
@@ -0,0 +1,226 @@
+const { SimpleParser, SimpleParseError } = require('./simpleParser');
+
+/**
+ * Simple 文档的 Schema，Schema 本身也用 Simple 格式书写：
+ *
+ *   type: object
+ *   required: [name, teacher]
+ *   properties: {}
+ *       name: {type: string, pattern: "^[a-z]+$"}
+ *       mode: {enum: [dev, prod], default: dev}
+ *       teacher: {}
+ *           type: object
+ *           properties: {}
+ *               student_ids: {}
+ *                   type: array
+ *                   items: {type: integer, min: 0}
+ *                   minItems: 1
+ *
+ * 关键字：
+ *   type                  string / number / integer / boolean / null / object / array / any，或它们的数组
+ *   enum                  允许的取值列表
+ *   min, max              数值的闭区间范围
+ *   pattern               字符串须匹配的正则表达式
+ *   properties            对象各键的 Schema
+ *   required              必须存在的键
+ *   additionalProperties  false 禁止未声明的键，或为其余键指定 Schema
+ *   items                 数组元素的 Schema；写成数组（可用区间键 1-3）时按索引分别校验
+ *   minItems, maxItems    数组长度范围
+ *   default               键缺失时填充的值
+ */
+const TYPES = ['any', 'string', 'number', 'integer', 'boolean', 'null', 'object', 'array'];
+
+const parser = new SimpleParser();
+
+/**
+ * 校验错误，path 为出错值在文档中的路径，如 teacher.student_ids[2]
+ */
+class SimpleValidationError extends SimpleParseError {
+    constructor(message, { code, keys, location = null }) {
+        const path = parser._formatPath(keys);
+        super(`${path}: ${message}`, {
+            code,
+            line: location ? location.line : null,
+            column: location ? location.column : null,
+            source: location ? location.source : null,
+            file: location ? location.file || null : null,
+            document: location ? location.document || null : null
+        });
+        this.name = 'SimpleValidationError';
+        this.path = path;
+        this.keys = keys;
+    }
+}
+
+class SimpleSchema {
+    constructor(definition) {
+        this.definition = SimpleSchema._compile(definition, []);
+    }
+
+    /**
+     * 从 Simple 格式的文本创建 Schema
+     */
+    static parse(simpleStr) {
+        return new SimpleSchema(parser.parse(simpleStr));
+    }
+
+    /**
+     * 校验值并填充默认值，返回 { value, errors }
+     * context.locate(keys) 可返回 { line, column, source }，用于给错误附加源码位置
+     */
+    validate(value, context = {}) {
+        const errors = [];
+        const result = this._validate(this.definition, value, [], errors, context);
+        return { value: result, errors };
+    }
+
+    /**
+     * 检查 Schema 定义并预编译正则
+     */
+    static _compile(definition, keys) {
+        if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+            throw new Error(`Invalid schema at ${parser._formatPath(keys)}: expected an object`);
+        }
+
+        const schema = { ...definition };
+        for (const type of [].concat(schema.type || [])) {
+            if (!TYPES.includes(type)) {
+                throw new Error(`Invalid schema at ${parser._formatPath(keys)}: unknown type "${type}"`);
+            }
+        }
+
+        if (schema.pattern !== undefined) {
+            schema.pattern = new RegExp(schema.pattern);
+        }
+
+        if (schema.properties) {
+            const properties = {};
+            for (const [key, child] of Object.entries(schema.properties)) {
+                parser._define(properties, key, SimpleSchema._compile(child, keys.concat(key)));
+            }
+            schema.properties = properties;
+        }
+
+        if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+            schema.additionalProperties = SimpleSchema._compile(schema.additionalProperties, keys.concat('*'));
+        }
+
+        if (Array.isArray(schema.items)) {
+            // 区间键之间的空洞在解析时被填为 0，视为不限制
+            schema.items = schema.items.map((item, i) =>
+                item && typeof item === 'object' ? SimpleSchema._compile(item, keys.concat(i)) : null
+            );
+        } else if (schema.items) {
+            schema.items = SimpleSchema._compile(schema.items, keys.concat('*'));
+        }
+
+        return schema;
+    }
+
+    _validate(schema, value, keys, errors, context) {
+        const fail = (code, message) => {
+            const location = context.locate ? context.locate(keys) : null;
+            errors.push(new SimpleValidationError(message, { code, keys, location }));
+        };
+
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => matchesType(type, value))) {
+                fail('E_TYPE', `expected ${types.join(' | ')}, got ${typeOf(value)}`);
+                return value;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(item => parser._isEqual(item, value))) {
+            fail('E_ENUM', `must be one of ${schema.enum.map(item => parser._objectToSimple(item, 0, {})).join(', ')}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.min !== undefined && value < schema.min) {
+                fail('E_MIN', `must be >= ${schema.min}, got ${value}`);
+            }
+            if (schema.max !== undefined && value > schema.max) {
+                fail('E_MAX', `must be <= ${schema.max}, got ${value}`);
+            }
+        }
+
+        if (typeof value === 'string' && schema.pattern && !schema.pattern.test(value)) {
+            fail('E_PATTERN', `must match ${schema.pattern}`);
+        }
+
+        if (Array.isArray(value)) {
+            this._validateArray(schema, value, keys, errors, context, fail);
+        } else if (typeOf(value) === 'object') {
+            this._validateObject(schema, value, keys, errors, context, fail);
+        }
+
+        return value;
+    }
+
+    _validateArray(schema, array, keys, errors, context, fail) {
+        if (schema.minItems !== undefined && array.length < schema.minItems) {
+            fail('E_MIN_ITEMS', `must have at least ${schema.minItems} items, got ${array.length}`);
+        }
+        if (schema.maxItems !== undefined && array.length > schema.maxItems) {
+            fail('E_MAX_ITEMS', `must have at most ${schema.maxItems} items, got ${array.length}`);
+        }
+
+        if (!schema.items) return;
+
+        for (let i = 0; i < array.length; i++) {
+            const itemSchema = Array.isArray(schema.items) ? schema.items[i] : schema.items;
+            if (itemSchema) {
+                array[i] = this._validate(itemSchema, array[i], keys.concat(i), errors, context);
+            }
+        }
+    }
+
+    _validateObject(schema, obj, keys, errors, context, fail) {
+        const properties = schema.properties || {};
+        // 只看自有的键，toString、__proto__ 这样的键不会取到原型上的值
+        const own = (target, key) => Object.prototype.hasOwnProperty.call(target, key);
+
+        // 先填充默认值，有默认值的必需键不算缺失
+        for (const [key, child] of Object.entries(properties)) {
+            if ((!own(obj, key) || obj[key] === undefined) && child.default !== undefined) {
+                parser._define(obj, key, parser._cloneTree(child.default));
+            }
+        }
+
+        for (const key of schema.required || []) {
+            if (!own(obj, key) || obj[key] === undefined) {
+                const missing = keys.concat(key);
+                const location = context.locate ? context.locate(missing) : null;
+                errors.push(new SimpleValidationError('is required', { code: 'E_REQUIRED', keys: missing, location }));
+            }
+        }
+
+        for (const key of Object.keys(obj)) {
+            const childKeys = keys.concat(key);
+            if (own(properties, key)) {
+                obj[key] = this._validate(properties[key], obj[key], childKeys, errors, context);
+            } else if (schema.additionalProperties === false) {
+                const location = context.locate ? context.locate(childKeys) : null;
+                errors.push(new SimpleValidationError('is not allowed', { code: 'E_ADDITIONAL', keys: childKeys, location }));
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                obj[key] = this._validate(schema.additionalProperties, obj[key], childKeys, errors, context);
+            }
+        }
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(type, value) {
+    switch (type) {
+        case 'any': return true;
+        case 'integer': return Number.isInteger(value);
+        default: return typeOf(value) === type;
+    }
+}
+
+module.exports = { SimpleSchema, SimpleValidationError };
@@ -0,0 +1,291 @@
+const { EventEmitter } = require('events');
+const { StringDecoder } = require('string_decoder');
+const { SimpleParser, SimpleParseError } = require('./simpleParser');
+
+/**
+ * 流式解析器：分块写入文本，逐行解析并触发事件，内存占用与文档大小无关
+ *
+ * 事件：
+ *   key         (key, path)          读到一个键
+ *   value       (value, key, path)   读到标量或内联值
+ *   enterObject (key, path)          进入通过缩进声明的 {} 块
+ *   enterArray  (key, path)          进入通过缩进声明的 [] 块
+ *   exit        (path)               离开 {} / [] 块
+ *   entry       (key, value)         一个顶层条目已完整解析（options.entries 为 false 时不触发）
+ *   end         ()
+ *
+ * 数组子元素在 path 中使用原始键（索引、区间 1-3 或 -），
+ * 因为 - 补足项的实际索引要读完整个数组才能确定
+ */
+class SimpleStreamParser extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        const defaultOptions = {
+            arrayFormat: 'indexed', // 'indexed' 或 'values'
+            recover: false, // 为 true 时把错误收集到 errors 中并继续
+            entries: true, // 为 false 时不保留节点，只触发逐行事件
+            holes: 'zero', // 数组中未声明的索引，与 SimpleParser.parse 的同名选项相同
+            holeValue: 0
+        };
+        this.options = { ...defaultOptions, ...options };
+        this.errors = [];
+
+        this.parser = new SimpleParser();
+        this.parser._checkHoles(this.options.holes);
+        // 锚点在整个流中有效
+        this.parser._anchors = new Map();
+        this.parser._holes = { policy: this.options.holes, value: this.options.holeValue };
+        // 构建条目时的错误（如 holes: 'throw'）与逐行的错误一起收集
+        this.parser._recover = this.options.recover;
+        this.parser._errors = this.errors;
+        this._decoder = new StringDecoder('utf8');
+        this._buffer = '';
+        this._lineNo = 0;
+        this._commentState = { inBlock: false };
+        this._blockString = null; // 正在读取正文的块字符串
+        this._indentDetected = false;
+        this._stack = [{ node: { type: 'object', children: [] }, indent: -1, path: [] }];
+        this._ended = false;
+    }
+
+    /**
+     * 写入一块文本（字符串、Buffer 或 Uint8Array），可以在任意位置切分
+     */
+    write(chunk) {
+        if (this._ended) {
+            throw new Error('Cannot write after end');
+        }
+
+        this._buffer += typeof chunk === 'string' ? chunk : this._decoder.write(Buffer.from(chunk));
+
+        // 只处理完整的行，最后不完整的一行留到下一块
+        let start = 0;
+        let newline;
+        while ((newline = this._buffer.indexOf('\n', start)) !== -1) {
+            this._processLine(this._buffer.substring(start, newline));
+            start = newline + 1;
+        }
+        this._buffer = this._buffer.substring(start);
+        return this;
+    }
+
+    /**
+     * 结束输入，关闭所有未结束的块
+     */
+    end(chunk) {
+        if (chunk !== undefined) {
+            this.write(chunk);
+        }
+
+        this._buffer += this._decoder.end();
+        if (this._buffer) {
+            this._processLine(this._buffer);
+            this._buffer = '';
+        }
+        if (this._blockString) {
+            this._finishBlockString();
+        }
+
+        while (this._stack.length > 1) {
+            this._pop();
+        }
+
+        this._ended = true;
+        this.emit('end');
+        return this;
+    }
+
+    _processLine(rawLine) {
+        this._lineNo++;
+        const parser = this.parser;
+        const line = rawLine.replace(/\r$/, '');
+
+        // 块字符串的正文：缩进比标记行深的行和空行，读完后才能得到值
+        if (this._blockString) {
+            if (!line.trim() || line.match(/^[ \t]*/)[0].length > this._blockString.indent) {
+                this._blockString.lines.push(line);
+                return;
+            }
+            this._finishBlockString();
+        }
+
+        // 注释状态跨行保留，/* */ 可以跨越多行和多个数据块
+        const inComment = this._commentState.inBlock;
+        const masked = parser._maskComments(line, this._commentState);
+        // 与整体解析相同，缩进取去掉注释后的行首空白，不计被注释掉的字符
+        const leading = parser._removeComments((inComment ? '/*' : '') + line).match(/^[ \t]*/)[0];
+        const indicator = parser._findBlockIndicator(masked);
+        if (indicator && !this._commentState.inBlock) {
+            this._blockString = {
+                line,
+                masked,
+                leading,
+                lineNo: this._lineNo,
+                column: indicator.column,
+                chomp: indicator.chomp,
+                indent: masked.length - masked.trimStart().length,
+                lines: []
+            };
+            return;
+        }
+        this._processCode(line, masked, leading, this._lineNo);
+    }
+
+    /**
+     * 把块字符串的标记行改写为带引号的字符串后按普通行处理
+     */
+    _finishBlockString() {
+        const block = this._blockString;
+        this._blockString = null;
+        const value = this.parser._blockStringValue(block.lines, block.chomp);
+        const masked = `${block.masked.substring(0, block.column)}"${this.parser._escapeString(value)}"`;
+        this._processCode(block.line, masked, block.leading, block.lineNo);
+    }
+
+    _processCode(line, masked, leading, lineNo) {
+        const parser = this.parser;
+        const trimmed = masked.trim();
+        if (!trimmed) return;
+
+        if (!this._indentDetected && leading.length > 0) {
+            // 与整体解析相同，以第一个有缩进的行确定缩进类型
+            parser._detectIndentType([{ text: leading + trimmed }]);
+            this._indentDetected = true;
+        }
+
+        const indent = leading.length > 0 ? parser._getIndentLevel(leading) : 0;
+        const pos = { line: lineNo, column: masked.length - masked.trimStart().length + 1 };
+
+        while (this._stack.length > 1 && this._stack[this._stack.length - 1].indent >= indent) {
+            this._pop();
+        }
+        const parent = this._stack[this._stack.length - 1];
+
+        let key, value, quoted = false;
+        if (this.options.arrayFormat === 'values' && parent.node.type === 'array' &&
+            parser._findSeparator(trimmed) === -1) {
+            // 纯值数组格式，没有冒号和键
+            key = '-';
+            try {
+                value = parser._parseTypedValue(trimmed);
+            } catch (error) {
+                if (!(error instanceof SimpleParseError)) throw error;
+                this._report(error.code, error.reason, pos, line);
+                return;
+            }
+        } else {
+            try {
+                [key, value, quoted] = parser._parseKeyValue(trimmed, parent.node.type, pos);
+            } catch (error) {
+                if (!(error instanceof SimpleParseError)) throw error;
+                this._report(error.code, error.reason, pos, line);
+                return;
+            }
+
+            if (parent.node.type === 'array' && !this._checkIndexKey(key, quoted, pos, line)) {
+                return;
+            }
+        }
+
+        const node = {
+            key,
+            quotedKey: quoted,
+            value: value.value,
+            type: value.type,
+            tag: value.tag,
+            anchor: value.anchor,
+            indent,
+            ...pos
+        };
+        const path = parent.path.concat(key);
+        const isContainer = value.type === 'object' || value.type === 'array';
+        const isBlock = isContainer && Object.keys(value.value).length === 0;
+
+        this.emit('key', key, path);
+        if (isBlock) {
+            this.emit(value.type === 'object' ? 'enterObject' : 'enterArray', key, path);
+        } else {
+            this.emit('value', value.value, key, path);
+        }
+
+        // 顶层条目单独保留，完成后立即释放
+        if (this.options.entries && this._stack.length > 1) {
+            parent.node.children.push(node);
+        }
+
+        if (isContainer) {
+            node.children = [];
+            this._stack.push({ node, indent, path, inline: !isBlock });
+        } else if (this._stack.length === 1) {
+            this._emitEntry(node);
+        }
+    }
+
+    _pop() {
+        const frame = this._stack.pop();
+        if (!frame.inline) {
+            this.emit('exit', frame.path);
+        }
+        if (this._stack.length === 1) {
+            this._emitEntry(frame.node);
+        }
+    }
+
+    _emitEntry(node) {
+        if (!this.options.entries) return;
+        this.emit('entry', node.key, this.parser._astToObject(node, [node.key]));
+    }
+
+    /**
+     * 数组中的键必须是不带引号的索引、区间或 -，无效的行不会进入结果
+     */
+    _checkIndexKey(key, quoted, pos, line) {
+        if (quoted) {
+            this._report('E_INVALID_INDEX', `Invalid array index: "${this.parser._escapeString(key)}"`, pos, line);
+            return false;
+        }
+        if (key === '-' || /^\d+$/.test(key)) return true;
+
+        const range = key.match(/^(\d+)\s*-\s*(\d+)$/);
+        if (key.includes('-') && (!range || Number(range[1]) > Number(range[2]))) {
+            this._report('E_INVALID_RANGE', `Invalid array range: ${key}`, pos, line);
+            return false;
+        }
+        if (!range) {
+            this._report('E_INVALID_INDEX', `Invalid array index: ${key}`, pos, line);
+            return false;
+        }
+        return true;
+    }
+
+    _report(code, message, pos, source) {
+        const error = new SimpleParseError(message, { code, line: pos.line, column: pos.column, source });
+        if (!this.options.recover) {
+            throw error;
+        }
+        this.errors.push(error);
+    }
+}
+
+/**
+ * 从 Node Readable 流或（异步）可迭代的数据块中逐个产出顶层条目 [key, value]
+ */
+async function* parseStream(source, options = {}) {
+    const streamParser = new SimpleStreamParser({ ...options, entries: true });
+    const entries = [];
+    streamParser.on('entry', (key, value) => entries.push([key, value]));
+
+    for await (const chunk of source) {
+        streamParser.write(chunk);
+        while (entries.length > 0) {
+            yield entries.shift();
+        }
+    }
+
+    streamParser.end();
+    while (entries.length > 0) {
+        yield entries.shift();
+    }
+}
+
+module.exports = { SimpleStreamParser, parseStream };
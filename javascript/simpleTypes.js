@@ -0,0 +1,247 @@
+const { SimpleParser } = require('./simpleParser');
+
+/**
+ * 从样例文档推断类型，生成 TypeScript 声明和 JSON Schema
+ *
+ * 多个样例的结构合并为一个形状：
+ *   - 只在部分样例中出现的键为可选（key?:）
+ *   - None 使类型可为 null
+ *   - 数组（内联 [...] 或索引、区间写法）在所有样例中长度相同、且各位置类型不同时推断为元组，
+ *     否则推断为元素类型的数组，如 (string | number)[]
+ *   - Date 为 Date（JSON Schema 中为 date-time 字符串），bigint 为 bigint（JSON Schema 中为 integer），
+ *     其余标签值为 unknown
+ *   - 别名造成的循环引用在重复出现的位置推断为 unknown
+ */
+
+const parser = new SimpleParser();
+
+// 输出联合类型时的顺序
+const KINDS = ['string', 'integer', 'number', 'bigint', 'boolean', 'date', 'object', 'array', 'unknown', 'null'];
+
+// 元组的最大长度，更长的数组总是推断为数组
+const MAX_TUPLE_LENGTH = 8;
+
+/**
+ * 推断样例的形状，samples 为 Simple 文本或已解析对象的数组
+ */
+function inferShape(samples, options = {}) {
+    const shape = emptyShape();
+    for (const sample of samples) {
+        const value = typeof sample === 'string' ? parser.parse(sample, options.parseOptions) : sample;
+        addValue(shape, value);
+    }
+    return shape;
+}
+
+/**
+ * 生成 TypeScript 声明：根为对象时生成 interface，否则生成 type
+ *   name    类型名，默认 Config
+ *   indent  缩进宽度，默认 4
+ */
+function generateTypeScript(samples, options = {}) {
+    const { name = 'Config', indent = 4 } = options;
+    const shape = inferShape(samples, options);
+    const unit = ' '.repeat(indent);
+
+    const kinds = Object.keys(shape.types);
+    if (kinds.length === 1 && kinds[0] === 'object') {
+        return `export interface ${name} ${renderObject(shape.types.object, '', unit)}\n`;
+    }
+    return `export type ${name} = ${renderType(shape, '', unit)};\n`;
+}
+
+/**
+ * 生成 JSON Schema（draft 2020-12）对象，name 作为 title
+ */
+function generateJSONSchema(samples, options = {}) {
+    const { name = 'Config' } = options;
+    const shape = inferShape(samples, options);
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: name,
+        ...schemaFor(shape)
+    };
+}
+
+// ============ 形状推断 ============
+
+/**
+ * 形状记录一个位置上出现过的所有类型：types 的键为类型名，
+ * object 的值为 { count, properties }，array 的值为 { lengths, items, positions }
+ */
+function emptyShape() {
+    return { types: {} };
+}
+
+/**
+ * ancestors 为当前路径上的容器，值是自己的祖先时为循环引用
+ */
+function addValue(shape, value, ancestors = new Set()) {
+    const kind = kindOf(value);
+    if ((kind === 'object' || kind === 'array') && ancestors.has(value)) {
+        shape.types.unknown = true;
+        return;
+    }
+    if (kind === 'object') {
+        ancestors.add(value);
+        const object = shape.types.object || (shape.types.object = { count: 0, properties: new Map() });
+        object.count++;
+        for (const key of Object.keys(value)) {
+            if (!object.properties.has(key)) {
+                object.properties.set(key, { count: 0, shape: emptyShape() });
+            }
+            const property = object.properties.get(key);
+            property.count++;
+            addValue(property.shape, value[key], ancestors);
+        }
+        ancestors.delete(value);
+    } else if (kind === 'array') {
+        ancestors.add(value);
+        const array = shape.types.array || (shape.types.array = { lengths: new Set(), items: emptyShape(), positions: [] });
+        array.lengths.add(value.length);
+        value.forEach((item, i) => {
+            addValue(array.items, item, ancestors);
+            if (!array.positions[i]) {
+                array.positions[i] = emptyShape();
+            }
+            addValue(array.positions[i], item, ancestors);
+        });
+        ancestors.delete(value);
+    } else {
+        shape.types[kind] = true;
+    }
+}
+
+function kindOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (value instanceof Date) return 'date';
+    if (parser._isPlainObject(value)) return 'object';
+    switch (typeof value) {
+        case 'string': return 'string';
+        case 'boolean': return 'boolean';
+        case 'bigint': return 'bigint';
+        case 'number': return Number.isInteger(value) ? 'integer' : 'number';
+        default: return 'unknown';
+    }
+}
+
+/**
+ * 按 KINDS 的顺序列出类型，同时出现 integer 和 number 时只保留 number
+ */
+function kindsOf(shape) {
+    const kinds = KINDS.filter(kind => shape.types[kind]);
+    return shape.types.number ? kinds.filter(kind => kind !== 'integer') : kinds;
+}
+
+/**
+ * 所有样例长度相同、且至少有两个位置的类型不同时为元组
+ */
+function isTuple(array) {
+    if (array.lengths.size !== 1) return false;
+    const [length] = array.lengths;
+    if (length < 2 || length > MAX_TUPLE_LENGTH) return false;
+
+    const signatures = new Set(array.positions.map(position => renderType(position, '', '')));
+    return signatures.size > 1;
+}
+
+// ============ TypeScript ============
+
+function renderType(shape, indentText, unit) {
+    const kinds = kindsOf(shape);
+    if (kinds.length === 0) return 'unknown';
+
+    const types = kinds.map(kind => {
+        switch (kind) {
+            case 'integer': return 'number';
+            case 'date': return 'Date';
+            case 'object': return renderObject(shape.types.object, indentText, unit);
+            case 'array': return renderArray(shape.types.array, indentText, unit);
+            default: return kind;
+        }
+    });
+    return types.join(' | ');
+}
+
+function renderObject(object, indentText, unit) {
+    if (object.properties.size === 0) return 'Record<string, unknown>';
+
+    const inner = indentText + unit;
+    const lines = [];
+    for (const [key, property] of object.properties) {
+        const optional = property.count < object.count ? '?' : '';
+        lines.push(`${inner}${formatKey(key)}${optional}: ${renderType(property.shape, inner, unit)};`);
+    }
+    return `{\n${lines.join('\n')}\n${indentText}}`;
+}
+
+function renderArray(array, indentText, unit) {
+    if (isTuple(array)) {
+        return `[${array.positions.map(position => renderType(position, indentText, unit)).join(', ')}]`;
+    }
+    const items = renderType(array.items, indentText, unit);
+    return kindsOf(array.items).length > 1 ? `(${items})[]` : `${items}[]`;
+}
+
+function formatKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+// ============ JSON Schema ============
+
+function schemaFor(shape) {
+    const kinds = kindsOf(shape);
+    if (kinds.length === 0) return {};
+
+    const schemas = kinds.map(kind => {
+        switch (kind) {
+            case 'date': return { type: 'string', format: 'date-time' };
+            case 'bigint': return { type: 'integer' };
+            case 'unknown': return {};
+            case 'object': return objectSchema(shape.types.object);
+            case 'array': return arraySchema(shape.types.array);
+            default: return { type: kind };
+        }
+    });
+    if (schemas.length === 1) return schemas[0];
+
+    // 只有简单类型时合并为 type 数组，如 ["string", "null"]
+    if (schemas.every(schema => Object.keys(schema).length === 1 && typeof schema.type === 'string')) {
+        return { type: Array.from(new Set(schemas.map(schema => schema.type))) };
+    }
+    return { anyOf: schemas };
+}
+
+function objectSchema(object) {
+    const properties = {};
+    const required = [];
+    for (const [key, property] of object.properties) {
+        properties[key] = schemaFor(property.shape);
+        if (property.count === object.count) {
+            required.push(key);
+        }
+    }
+
+    const schema = { type: 'object', properties };
+    if (required.length > 0) {
+        schema.required = required;
+    }
+    return schema;
+}
+
+function arraySchema(array) {
+    if (isTuple(array)) {
+        const [length] = array.lengths;
+        return {
+            type: 'array',
+            prefixItems: array.positions.map(schemaFor),
+            items: false,
+            minItems: length,
+            maxItems: length
+        };
+    }
+    return { type: 'array', items: schemaFor(array.items) };
+}
+
+module.exports = { inferShape, generateTypeScript, generateJSONSchema };
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimpleParser } = require('../simpleParser');
+
+const parser = new SimpleParser();
+
+test('block strings strip the common indentation and apply chomping', () => {
+    const text = 'a: |\n    line one\n      indented\n\n    end\nb: |-\n  x\n  y\nc: |+\n  z\n\n\nd: 1\n';
+    assert.deepStrictEqual(parser.parse(text), { a: 'line one\n  indented\n\nend\n', b: 'x\ny', c: 'z\n\n\n', d: 1 });
+});
+
+test('comments after the indicator are ignored', () => {
+    assert.deepStrictEqual(parser.parse('a: | // c\n  text\n'), { a: 'text\n' });
+});
+
+test('stringify writes long multi-line strings as block strings', () => {
+    const text = 'first line of a long text\nsecond line of a long text\n';
+    assert.strictEqual(parser.stringify({ t: text, short: 'a\nb' }),
+        't: |\n  first line of a long text\n  second line of a long text\nshort: "a\\nb"');
+    assert.strictEqual(parser.stringify({ t: text }, { blockStrings: false }),
+        't: "first line of a long text\\nsecond line of a long text\\n"');
+    assert.strictEqual(parser.stringify({ o: { t: text.trimEnd() } }),
+        'o: {}\n  t: |-\n    first line of a long text\n    second line of a long text');
+});
+
+test('block strings round-trip', () => {
+    const values = [
+        'first line of a long text\nsecond line of a long text',
+        'first line of a long text\nsecond line of a long text\n\n\n',
+        '  leading spaces on the first line here\nsecond line\n'
+    ];
+    for (const value of values) {
+        assert.strictEqual(parser.parse(parser.stringify({ o: { t: value } })).o.t, value, JSON.stringify(value));
+    }
+});
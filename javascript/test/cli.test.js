@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main } = require('../bin/simple-format');
+
+/**
+ * 运行命令行，返回 { code, stdout, stderr }
+ */
+function run(argv) {
+    let stdout = '';
+    let stderr = '';
+    const io = {
+        stdout: { write: text => { stdout += text; } },
+        stderr: { write: text => { stderr += text; } }
+    };
+    const code = main(argv, io);
+    return { code, stdout, stderr };
+}
+
+function tempFile(name, text) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-cli-'));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+test('to-json converts a file', () => {
+    const file = tempFile('a.simple', 'name: sam\nids: []\n  1-2: 5\n  -: 1\n');
+    const { code, stdout } = run(['to-json', file]);
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(JSON.parse(stdout), { name: 'sam', ids: [1, 5, 5] });
+});
+
+test('validate exits with 1 and a file:line diagnostic', () => {
+    const file = tempFile('bad.simple', 'a: 1\nbad line\n');
+    const { code, stderr } = run(['validate', file]);
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /bad\.simple:2:1: Invalid line/);
+});
+
+test('lint reports holes according to --holes', () => {
+    const file = tempFile('gap.simple', 'l: []\n  0: 1\n  2: 1\n');
+    const { code, stderr } = run(['lint', '--holes', 'sparse', file]);
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /gap\.simple:1:1: Index 1 of l is not defined and will be left empty/);
+    assert.match(run(['lint', '--holes', 'throw', file]).stderr, /Index 1 of l is not defined \[E_ARRAY_HOLE\]/);
+});
+
+test('get prints a single value', () => {
+    const file = tempFile('a.simple', 'teacher: {}\n  ids: [20, 21, 22]\n');
+    const { code, stdout } = run(['get', 'teacher.ids[1]', file]);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(stdout.trim(), '21');
+});
+
+test('unknown commands are usage errors', () => {
+    assert.strictEqual(run(['nope']).code, 2);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimpleParser } = require('../simpleParser');
+
+const parser = new SimpleParser();
+
+test('compact stringify writes a single line that parse reads back', () => {
+    const value = { name: 'sam', ids: [1, 2, 3], n: { a: null, b: true, s: 'x, y: z' }, e: [], o: {} };
+    const text = parser.stringify(value, { compact: true });
+    assert.strictEqual(text, '{name: sam, ids: [1, 2, 3], n: {a: None, b: true, s: "x, y: z"}, e: [], o: {}}');
+    assert.deepStrictEqual(parser.parse(text), value);
+});
+
+test('compact form quotes and escapes every value that needs it', () => {
+    const value = {
+        d: new Date('2026-01-01T00:00:00Z'),
+        k: { 'a b': 1, 'x:y': 2, '': 3, '[': 4 },
+        s: ['', ' pad ', 'None', '1', 'a,b', '{', '#x', '//y', '\t', 'line\nbreak', 'q"x']
+    };
+    const text = parser.stringify(value, { compact: true });
+    assert.ok(!text.includes('\n'));
+    assert.deepStrictEqual(parser.parse(text), value);
+});
+
+test('compact form writes holes as the fill value', () => {
+    const h = [1, , 3];
+    assert.strictEqual(parser.stringify({ h }, { compact: true }), '{h: [1, 0, 3]}');
+    assert.strictEqual(parser.stringify({ h }, { compact: true, holes: 'null' }), '{h: [1, None, 3]}');
+});
+
+test('compact form keeps references as anchors', () => {
+    const value = { list: [1] };
+    value.self = value;
+    const text = parser.stringify(value, { compact: true });
+    assert.strictEqual(text, '&ref1 {list: [1], self: *ref1}');
+    const result = parser.parse(text);
+    assert.strictEqual(result.self, result);
+});
+
+test('parse accepts inline values as a whole document', () => {
+    assert.deepStrictEqual(parser.parse('[1, {a: [2]}]'), [1, { a: [2] }]);
+    assert.deepStrictEqual(parser.parse('  {a: 1} // c'), { a: 1 });
+    assert.strictEqual(parser.parse('"str"'), 'str');
+    assert.strictEqual(parser.parse('42'), 42);
+});
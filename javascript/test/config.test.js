@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { SimpleConfig } = require('../simpleConfig');
+const { SimpleMemoryLoader } = require('../simpleLoader');
+
+const missing = path.join(os.tmpdir(), `simple-config-missing-${process.pid}.simple`);
+
+test('loadSync returns a copy of the cached value', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-config-'));
+    const file = path.join(dir, 'app.simple');
+    fs.writeFileSync(file, 'name: sam\n');
+    const config = new SimpleConfig();
+    const value = config.loadSync(file);
+    value.name = 'changed';
+    assert.deepStrictEqual(config.loadSync(file), { name: 'sam' });
+    fs.rmSync(dir, { recursive: true });
+});
+
+test('watch reports a failed first load to the error listener', async () => {
+    const watcher = new SimpleConfig().watch(missing);
+    const [error] = await new Promise(resolve => watcher.once('error', (...args) => resolve(args)));
+    watcher.close();
+    assert.strictEqual(error.code, 'ENOENT');
+});
+
+test('without an error listener the failure is an uncaught exception, not an unhandled rejection', () => {
+    const script = `
+        process.on('unhandledRejection', error => { console.log('rejection', error.code); process.exit(0); });
+        process.on('uncaughtException', error => { console.log('exception', error.code); process.exit(0); });
+        require(${JSON.stringify(path.join(__dirname, '..', 'simpleConfig'))}).watch(${JSON.stringify(missing)});
+    `;
+    const result = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 10000 });
+    assert.strictEqual(result.stdout.trim(), 'exception ENOENT');
+});
+
+test('files included through a custom loader are not looked up on disk', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-config-'));
+    const file = path.join(dir, 'app.simple');
+    fs.writeFileSync(file, '@include /base.simple\nname: sam\n');
+    const loader = new SimpleMemoryLoader({ '/base.simple': 'port: 80\n' });
+    const config = new SimpleConfig({ loader });
+    assert.deepStrictEqual(config.loadSync(file), { port: 80, name: 'sam' });
+    // 内存加载器没有 signature，每次都重新解析
+    loader.files.set('/base.simple', 'port: 81\n');
+    assert.deepStrictEqual(await config.load(file), { port: 81, name: 'sam' });
+    fs.rmSync(dir, { recursive: true });
+});
+
+test('changes to included files invalidate the cache', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-config-'));
+    const file = path.join(dir, 'app.simple');
+    const base = path.join(dir, 'base.simple');
+    fs.writeFileSync(file, '@include base.simple\n');
+    fs.writeFileSync(base, 'port: 80\n');
+    const config = new SimpleConfig();
+    assert.deepStrictEqual(config.loadSync(file), { port: 80 });
+    fs.writeFileSync(base, 'port: 8080\n');
+    assert.deepStrictEqual(config.loadSync(file), { port: 8080 });
+    fs.rmSync(dir, { recursive: true });
+});
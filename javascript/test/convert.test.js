@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { convert, read } = require('../simpleConvert');
+
+test('convert keeps data between formats', () => {
+    const json = '{"name":"sam","ids":[20,21],"nested":{"a":true}}';
+    for (const format of ['yaml', 'toml', 'simple']) {
+        const { text } = convert(json, 'json', format);
+        assert.deepStrictEqual(JSON.parse(convert(text, format, 'json').text), JSON.parse(json), format);
+    }
+});
+
+test('__proto__ keys are read as ordinary keys', () => {
+    const json = '{"a":{"__proto__":{"x":1},"k":1},"constructor":2}';
+    for (const format of ['json', 'yaml', 'toml']) {
+        const { text } = convert(json, 'json', format);
+        assert.deepStrictEqual(JSON.parse(convert(text, format, 'json').text), JSON.parse(json), format);
+    }
+
+    const value = read('{"__proto__":{"x":1}}', 'json').value;
+    assert.strictEqual(Object.getPrototypeOf(value), Object.prototype);
+    assert.deepStrictEqual(Object.keys(value), ['__proto__']);
+    assert.strictEqual(convert('{"__proto__":{}}', 'json', 'simple').text, '__proto__: {}\n');
+
+    assert.deepStrictEqual(Object.keys(read('[__proto__]\nx = 1\n', 'ini').value), ['__proto__']);
+    assert.deepStrictEqual(Object.keys(read('a: {__proto__: 1}\n', 'yaml').value.a), ['__proto__']);
+    assert.strictEqual({}.x, undefined);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diff, applyPatch } = require('../simpleDiff');
+
+test('applyPatch turns a into b', () => {
+    const a = { name: 'sam', ids: [1, 2, 3], nested: { x: 1 } };
+    const b = { name: 'max', ids: [1, 5], nested: { y: 2 } };
+    assert.deepStrictEqual(applyPatch(a, diff(a, b)), b);
+    assert.deepStrictEqual(a.ids, [1, 2, 3]);
+});
+
+test('applyPatch rejects prototype path segments before applying anything', () => {
+    const patches = [
+        [{ op: 'add', path: '__proto__.polluted', value: true }],
+        [{ op: 'add', path: 'a.constructor.prototype.polluted', value: true }],
+        [{ op: 'add', path: 'ok', value: 1 }, { op: 'replace', path: '["__proto__"]', value: {} }],
+        [{ op: 'remove', path: 'a.prototype' }]
+    ];
+    for (const patch of patches) {
+        assert.throws(() => applyPatch({ a: {} }, patch), /Cannot apply patch\[\d\]: Unsafe path segment/);
+    }
+    assert.strictEqual({}.polluted, undefined);
+});
+
+test('applyPatch reports invalid paths with the operation index', () => {
+    assert.throws(() => applyPatch({}, [{ op: 'add', path: 'a', value: 1 }, { op: 'add', path: 'a[', value: 1 }]),
+        /^Error: Cannot apply patch\[1\]: Invalid path/);
+});
+
+test('diff adds values at holes and applyPatch accepts them', () => {
+    const a = { l: [1, , 3, , ,] };
+    const b = { l: [1, 2, 3, 4, 4] };
+    const patch = diff(a, b);
+    assert.deepStrictEqual(patch, [{ op: 'add', path: 'l[1]', value: 2 }, { op: 'add', path: 'l[3-4]', value: 4 }]);
+    assert.deepStrictEqual(applyPatch(a, patch), b);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimpleParser } = require('../simpleParser');
+
+const parser = new SimpleParser();
+
+const source = [
+    '// service config',
+    'teacher: {}',
+    '    name: \'sam\'  # single quotes are kept',
+    '    student_ids: []',
+    '        0-2: 20',
+    '        3: 31',
+    '/* block',
+    '   comment */',
+    '"a.b": 1',
+    ''
+].join('\r\n');
+
+test('toString reproduces an untouched document byte for byte', () => {
+    assert.strictEqual(parser.parseDocument(source).toString(), source);
+});
+
+test('set keeps comments, quoting, line endings and other entries', () => {
+    const doc = parser.parseDocument(source);
+    doc.set('teacher.name', 'max');
+    assert.strictEqual(doc.toString(), source.replace("name: 'sam'", "name: 'max'"));
+});
+
+test('set uses the parsePath syntax and splits ranges', () => {
+    const doc = parser.parseDocument(source);
+    doc.set('teacher.student_ids[1]', 5);
+    doc.set('["a.b"]', 2);
+    doc.set('teacher.extra', { on: true });
+    assert.deepStrictEqual(doc.toObject(), {
+        teacher: { name: 'sam', student_ids: [20, 5, 20, 31], extra: { on: true } },
+        'a.b': 2
+    });
+    assert.ok(doc.toString().includes('        0: 20\r\n        1: 5\r\n        2: 20\r\n'));
+    assert.ok(doc.toString().startsWith('// service config\r\n'));
+    assert.throws(() => doc.set('teacher.student_ids[1-2]', 0), /Cannot edit a range/);
+});
+
+test('delete removes array elements like SimpleParser.delete', () => {
+    const text = 'l: []\n  0: a\n  -: b\n  2: c\n  3-4: d\n  -: e\n  7: f\n';
+    const length = parser.parse(text).l.length;
+    for (let i = 0; i < length - 1; i++) {
+        const doc = parser.parseDocument(text);
+        assert.strictEqual(doc.delete(`l[${i}]`), true);
+        const expected = parser.parse(text);
+        SimpleParser.delete(expected, `l[${i}]`);
+        assert.deepStrictEqual(doc.toObject(), expected, `l[${i}]`);
+    }
+});
+
+test('delete removes object keys with their comments kept around them', () => {
+    const doc = parser.parseDocument(source);
+    assert.strictEqual(doc.delete('teacher.student_ids'), true);
+    assert.strictEqual(doc.delete('missing'), false);
+    assert.strictEqual(doc.toString(), "// service config\r\nteacher: {}\r\n    name: 'sam'  # single quotes are kept\r\n/* block\r\n   comment */\r\n\"a.b\": 1\r\n");
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimpleParser, SimpleParseError } = require('../simpleParser');
+
+const parser = new SimpleParser();
+
+test('errors point at the line and column of the original text', () => {
+    assert.throws(() => parser.parse('a: 1\n# comment\n\nbad line\nb: 2\n'), error => {
+        assert.ok(error instanceof SimpleParseError);
+        assert.strictEqual(error.code, 'E_INVALID_LINE');
+        assert.strictEqual(error.line, 4);
+        assert.strictEqual(error.column, 1);
+        assert.strictEqual(error.source, 'bad line');
+        assert.strictEqual(error.message, 'Invalid line: bad line (line 4, column 1)');
+        return true;
+    });
+});
+
+test('line numbers count block comments and the snippet marks the column', () => {
+    assert.throws(() => parser.parse('/* multi\n line */\na: []\n  0: 1\n  x: 2\n'), error => {
+        assert.strictEqual(error.code, 'E_INVALID_INDEX');
+        assert.deepStrictEqual([error.line, error.column], [5, 3]);
+        assert.strictEqual(error.snippet, '5 |   x: 2\n  |   ^');
+        return true;
+    });
+});
+
+test('recover mode collects every error and keeps the valid entries', () => {
+    const { value, errors } = parser.parse('a: []\n  0: 1\n  x: 2\n  3-1: 4\nbad\nb: 2\n', { recover: true });
+    assert.deepStrictEqual(value, { a: [1], b: 2 });
+    assert.deepStrictEqual(errors.map(error => [error.code, error.line, error.column]), [
+        ['E_INVALID_LINE', 5, 1],
+        ['E_INVALID_INDEX', 3, 3],
+        ['E_INVALID_RANGE', 4, 3]
+    ]);
+});
+
+test('recover mode returns no errors for a valid document', () => {
+    assert.deepStrictEqual(parser.parse('a: 1\n', { recover: true }), { value: { a: 1 }, errors: [] });
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimpleFormatter, SimpleLinter, SimpleTokenizer } = require('../simpleFormat');
+
+const source = "# top\nteacher: {}\n    name: 'sam'   // who\n    ids: []\n        0: 1\n        1: 1\n        2: 1\n        4: 2\n";
+
+test('formatter normalizes indentation and quotes and keeps comments', () => {
+    assert.strictEqual(new SimpleFormatter().format(source),
+        '# top\nteacher: {}\n  name: "sam" // who\n  ids: []\n    0: 1\n    1: 1\n    2: 1\n    4: 2\n');
+});
+
+test('formatter compresses, expands and uses tabs', () => {
+    const formatter = new SimpleFormatter({ indent: 1, indentChar: '\t', quotes: 'minimal', ranges: 'compress' });
+    assert.strictEqual(formatter.format(source), '# top\nteacher: {}\n\tname: sam // who\n\tids: []\n\t\t0-2: 1\n\t\t4: 2\n');
+    assert.strictEqual(new SimpleFormatter({ ranges: 'expand' }).format('l: []\n  0-2: x\n'), 'l: []\n  0: x\n  1: x\n  2: x\n');
+});
+
+test('formatting is idempotent', () => {
+    const formatter = new SimpleFormatter();
+    const once = formatter.format(source);
+    assert.strictEqual(formatter.format(once), once);
+});
+
+test('linter reports each rule with its position', () => {
+    const text = 'a: 1\na: 2\nl: []\n  0-2: x\n  1: y\n  5: z\nv: 1.2.3\nd: {}\n\tx: 1\n';
+    const warnings = new SimpleLinter().lint(text);
+    assert.deepStrictEqual(warnings.map(warning => [warning.rule, warning.line, warning.column]), [
+        ['duplicate-key', 2, 1],
+        ['index-gap', 3, 1],
+        ['overlapping-range', 5, 3],
+        ['number-like-string', 7, 1],
+        ['mixed-indentation', 9, 1]
+    ]);
+    assert.strictEqual(warnings[0].code, 'W_DUPLICATE_KEY');
+    assert.strictEqual(warnings[1].reason, 'Indices 3-4 of l are not defined and will be filled with 0');
+});
+
+test('index-gap follows the holes policy', () => {
+    const reason = parseOptions => new SimpleLinter().lint('l: []\n  0: 1\n  2: 1\n', parseOptions).map(problem => problem.reason);
+    assert.deepStrictEqual(reason({ holes: 'null' }), ['Index 1 of l is not defined and will be filled with None']);
+    assert.deepStrictEqual(reason({ holes: 'fill', holeValue: 'x' }), ['Index 1 of l is not defined and will be filled with "x"']);
+    assert.deepStrictEqual(reason({ holes: 'sparse' }), ['Index 1 of l is not defined and will be left empty']);
+    assert.deepStrictEqual(reason({ holes: 'throw' }), ['Index 1 of l is not defined']);
+});
+
+test('linter rules can be turned off or configured', () => {
+    const linter = new SimpleLinter({ rules: { 'duplicate-key': false, 'max-depth': 1 } });
+    const warnings = linter.lint('a: 1\na: 2\nb: {}\n  c: {}\n    d: 1\n');
+    assert.deepStrictEqual(warnings.map(warning => [warning.rule, warning.line, warning.reason]), [
+        ['max-depth', 5, 'Nesting depth exceeds 1']
+    ]);
+});
+
+test('tokenizer returns typed tokens with positions', () => {
+    const tokens = new SimpleTokenizer().tokenize('a: &x [1, "s"]  # c\nl: []\n  0-1: !date 2026-01-01\n');
+    assert.deepStrictEqual(tokens.map(token => [token.type, token.text, token.line, token.column]), [
+        ['key', 'a', 1, 1],
+        ['punctuation', ':', 1, 2],
+        ['anchor', '&x', 1, 4],
+        ['punctuation', '[', 1, 7],
+        ['number', '1', 1, 8],
+        ['punctuation', ',', 1, 9],
+        ['string', '"s"', 1, 11],
+        ['punctuation', ']', 1, 14],
+        ['comment', '# c', 1, 17],
+        ['key', 'l', 2, 1],
+        ['punctuation', ':', 2, 2],
+        ['punctuation', '[', 2, 4],
+        ['punctuation', ']', 2, 5],
+        ['index', '0-1', 3, 3],
+        ['punctuation', ':', 3, 6],
+        ['tag', '!date', 3, 8],
+        ['string', '2026-01-01', 3, 14]
+    ]);
+    assert.ok(tokens.every(token => token.length === token.text.length));
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimpleParser } = require('../simpleParser');
+
+const parser = new SimpleParser();
+
+test('reviver runs bottom-up with the holder as this and sees expanded indices', () => {
+    const calls = [];
+    const value = parser.parse('a: {}\n  b: 1\nl: []\n  0-1: x\n  -: y\n', {
+        reviver(key, value, path) {
+            calls.push([key, path]);
+            if (key === '') {
+                assert.deepStrictEqual(Object.keys(this), ['']);
+            } else {
+                assert.strictEqual(this[key], value);
+            }
+            return typeof value === 'string' ? value.toUpperCase() : value;
+        }
+    });
+    assert.deepStrictEqual(calls, [
+        ['b', ['a', 'b']],
+        ['a', ['a']],
+        ['0', ['l', 0]],
+        ['1', ['l', 1]],
+        ['2', ['l', 2]],
+        ['l', ['l']],
+        ['', []]
+    ]);
+    assert.deepStrictEqual(value, { a: { b: 1 }, l: ['X', 'X', 'Y'] });
+});
+
+test('reviver returning undefined removes the key', () => {
+    const value = parser.parse('port: "80"\nsecret: x\n', {
+        reviver: (key, value) => key === 'secret' ? undefined : key === 'port' ? Number(value) : value
+    });
+    assert.deepStrictEqual(value, { port: 80 });
+});
+
+test('replacer runs top-down with the holder as this', () => {
+    const calls = [];
+    const text = parser.stringify({ a: { b: 1, secret: 2 }, l: [1, 2] }, {
+        replacer(key, value, path) {
+            calls.push([key, path, Array.isArray(this) ? 'array' : Object.keys(this).join(',')]);
+            return key === 'secret' ? undefined : value;
+        }
+    });
+    assert.deepStrictEqual(calls, [
+        ['', [], ''],
+        ['a', ['a'], 'a,l'],
+        ['b', ['a', 'b'], 'b,secret'],
+        ['secret', ['a', 'secret'], 'b,secret'],
+        ['l', ['l'], 'a,l'],
+        ['0', ['l', 0], 'array'],
+        ['1', ['l', 1], 'array']
+    ]);
+    assert.deepStrictEqual(parser.parse(text), { a: { b: 1 }, l: [1, 2] });
+});
+
+test('replacer array is a key allow-list for objects', () => {
+    assert.deepStrictEqual(parser.parse(parser.stringify({ a: { b: 1, c: 2 }, d: 3 }, { replacer: ['a', 'b'] })), { a: { b: 1 } });
+});
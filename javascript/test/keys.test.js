@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimpleParser } = require('../simpleParser');
+
+const parser = new SimpleParser();
+
+test('quoted keys use the same escapes as values', () => {
+    const text = '"a: b": 1\n"": 2\n"#x": 3\n"with \\"q\\"": 4\n\'single\': 5\nin: {"k, v": 6}\n';
+    assert.deepStrictEqual(parser.parse(text), { 'a: b': 1, '': 2, '#x': 3, 'with "q"': 4, single: 5, in: { 'k, v': 6 } });
+});
+
+test('quoted keys are not array indices', () => {
+    const { errors } = parser.parse('l: []\n  "1": x\n', { recover: true });
+    assert.deepStrictEqual(errors.map(error => [error.code, error.line]), [['E_INVALID_INDEX', 2]]);
+});
+
+test('stringify quotes keys that need it and they round-trip', () => {
+    const value = { 'a: b': 1, '': 2, '#x': 3, 'with "q"': 4, ' pad': 5, '1-2': 6, '-': 7, '@include x': 8, 'k//c': 9, plain: 10 };
+    const text = parser.stringify(value);
+    assert.ok(text.includes('"1-2": 6') && text.includes('plain: 10'));
+    assert.deepStrictEqual(parser.parse(text), value);
+    assert.deepStrictEqual(parser.parse(parser.stringify({ o: value }, { compact: true })), { o: value });
+});
+
+test('__proto__, constructor and toString are ordinary keys', () => {
+    const value = JSON.parse('{"__proto__": {"polluted": 1}, "constructor": {"prototype": 2}, "toString": "s", "in": {"__proto__": 3}}');
+    for (const text of [parser.stringify(value), parser.stringify(value, { compact: true })]) {
+        const result = parser.parse(text);
+        assert.deepStrictEqual(Object.keys(result), ['__proto__', 'constructor', 'toString', 'in']);
+        assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+        assert.deepStrictEqual(result, value);
+    }
+    assert.deepStrictEqual(Object.keys(parser.parse('o: {__proto__: {polluted: 1}}\n').o), ['__proto__']);
+    assert.deepStrictEqual(Object.keys(parser._cloneTree(value)), Object.keys(value));
+    assert.strictEqual({}.polluted, undefined);
+});
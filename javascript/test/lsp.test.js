@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { SimpleLanguageServer } = require('../simpleLanguageServer');
+
+/**
+ * 通过 Content-Length 分帧的消息与语言服务交互，返回 { request, notify, messages }
+ */
+function connect() {
+    const server = new SimpleLanguageServer();
+    const input = new PassThrough();
+    const messages = [];
+    let buffer = '';
+    const output = {
+        write(text) {
+            buffer += text;
+            let match;
+            while ((match = buffer.match(/^Content-Length: (\d+)\r\n\r\n/))) {
+                const start = match[0].length;
+                const end = start + Number(match[1]);
+                if (Buffer.byteLength(buffer) < end) return;
+                messages.push(JSON.parse(buffer.substring(start, end)));
+                buffer = buffer.substring(end);
+            }
+        }
+    };
+    server.listen(input, output);
+
+    let id = 0;
+    const send = message => {
+        const json = JSON.stringify({ jsonrpc: '2.0', ...message });
+        input.write(`Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`);
+    };
+    const request = (method, params) => new Promise(resolve => {
+        const requestId = ++id;
+        send({ id: requestId, method, params });
+        setImmediate(() => resolve(messages.find(message => message.id === requestId)));
+    });
+    const notify = (method, params) => new Promise(resolve => {
+        send({ method, params });
+        setImmediate(resolve);
+    });
+    return { request, notify, messages };
+}
+
+const uri = 'untitled:test.simple';
+const text = 'a: {}\n    b: 1\nc: []\n  - : 1\n';
+const textDocument = { uri };
+
+async function open(content) {
+    const client = connect();
+    await client.request('initialize', { capabilities: {} });
+    await client.notify('textDocument/didOpen', { textDocument: { uri, languageId: 'simple', version: 1, text: content } });
+    return client;
+}
+
+test('diagnostics are published with the strict indentation errors', async () => {
+    const { messages } = await open(text);
+    const published = messages.find(message => message.method === 'textDocument/publishDiagnostics');
+    assert.deepStrictEqual(published.params.diagnostics, [{
+        range: { start: { line: 3, character: 2 }, end: { line: 3, character: 3 } },
+        severity: 1,
+        code: 'E_INDENT_WIDTH',
+        source: 'simple',
+        message: 'Indentation of 2 spaces is not a multiple of 4'
+    }]);
+});
+
+test('symbols, folding and hover leave out lines rejected by the diagnostics', async () => {
+    const { request } = await open(text);
+    const symbols = (await request('textDocument/documentSymbol', { textDocument })).result;
+    assert.deepStrictEqual(symbols.map(symbol => [symbol.name, symbol.children.map(child => child.name)]), [['a', ['b']], ['c', []]]);
+    assert.deepStrictEqual((await request('textDocument/foldingRange', { textDocument })).result, [{ startLine: 0, endLine: 1 }]);
+    assert.strictEqual((await request('textDocument/hover', { textDocument, position: { line: 3, character: 2 } })).result, null);
+});
+
+test('hover and symbols give the indices of - entries', async () => {
+    const { request } = await open('a: {}\n    b: 1\nc: []\n    - : 1\n    - : 2\n');
+    const hover = (await request('textDocument/hover', { textDocument, position: { line: 4, character: 4 } })).result;
+    assert.strictEqual(hover.contents.value, '**c[1]**\n\nFills index 1\n\nType: number');
+    assert.deepStrictEqual(hover.range, { start: { line: 4, character: 4 }, end: { line: 4, character: 5 } });
+    assert.deepStrictEqual((await request('textDocument/foldingRange', { textDocument })).result,
+        [{ startLine: 0, endLine: 1 }, { startLine: 2, endLine: 4 }]);
+    const symbols = (await request('textDocument/documentSymbol', { textDocument })).result;
+    assert.deepStrictEqual(symbols[1].children.map(child => child.detail), ['index 0: 1', 'index 1: 2']);
+});
+
+test('the outline follows the parser when strict is turned off', async () => {
+    const client = await open(text);
+    await client.notify('workspace/didChangeConfiguration', { settings: { simple: { strict: false } } });
+    const published = client.messages.filter(message => message.method === 'textDocument/publishDiagnostics');
+    assert.deepStrictEqual(published[published.length - 1].params.diagnostics, []);
+    const symbols = (await client.request('textDocument/documentSymbol', { textDocument })).result;
+    assert.deepStrictEqual(symbols.map(symbol => symbol.name), ['a', 'c', '-']);
+});
+
+test('unknown requests get a method-not-found error', async () => {
+    const { request } = await open(text);
+    const response = await request('textDocument/unknown', {});
+    assert.strictEqual(response.error.code, -32601);
+});
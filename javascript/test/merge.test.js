@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { merge, mergeOptions } = require('../simpleMerge');
+
+test('merge treats plain objects as layers', () => {
+    assert.deepStrictEqual(merge({ a: 1 }, { arrays: [1, 2] }), { a: 1, arrays: [1, 2] });
+    assert.deepStrictEqual(merge({ a: 1 }, { report: 'yes' }), { a: 1, report: 'yes' });
+    assert.deepStrictEqual(merge({ a: { x: 1 } }, 'a: {}\n    y: 2\n'), { a: { x: 1, y: 2 } });
+});
+
+test('merge takes options wrapped by mergeOptions as the last argument', () => {
+    const result = merge({ l: [1, 2, 3] }, 'l: []\n    1: 9\n', mergeOptions({ arrays: 'index', report: true, names: ['base', 'local'] }));
+    assert.deepStrictEqual(result.value, { l: [1, 9, 3] });
+    assert.deepStrictEqual(result.origins, { 'l[0]': 'base', 'l[1]': 'local', 'l[2]': 'base' });
+    assert.deepStrictEqual(merge({ l: [1] }, { l: [2] }, mergeOptions({ strategies: { l: 'append' } })), { l: [1, 2] });
+});
+
+test('merge applies index strategies and delete markers', () => {
+    const base = 'l: []\n    0-6: 0\nold: 1\nkeep: 2\n';
+    const local = 'l: []\n    5-6: 1\nold: !delete\n';
+    assert.deepStrictEqual(merge(base, local, mergeOptions({ strategies: { l: 'index' } })),
+        { l: [0, 0, 0, 0, 0, 1, 1], keep: 2 });
+    assert.throws(() => merge({}, mergeOptions({ arrays: 'zip' })), /Unknown merge strategy for arrays: zip/);
+});
+
+test('__proto__ layers merge as ordinary keys', () => {
+    const result = merge({ a: 1 }, '__proto__: {}\n    polluted: 1\n', '"__proto__": {x: 2}\n');
+    assert.deepStrictEqual(Object.keys(result), ['a', '__proto__']);
+    assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+    assert.deepStrictEqual({ ...result.__proto__ }, { polluted: 1, x: 2 });
+    assert.strictEqual({}.polluted, undefined);
+});
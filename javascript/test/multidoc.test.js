@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimpleParser } = require('../simpleParser');
+
+const parser = new SimpleParser();
+
+test('parseAll detects indentation per document', () => {
+    const text = 'a: 1\n---\nb: {}\n\tc: 2\n---\nd: {}\n    e: 3\n';
+    assert.deepStrictEqual(parser.parseAll(text), [{ a: 1 }, { b: { c: 2 } }, { d: { e: 3 } }]);
+    assert.deepStrictEqual(parser.parseAll('---\na: 1\n'), [{ a: 1 }]);
+});
+
+test('lazy parseAll parses one document per iteration', () => {
+    const documents = parser.parseAll('a: 1\n---\nbad\n', { lazy: true });
+    assert.deepStrictEqual(documents.next(), { value: { a: 1 }, done: false });
+    assert.throws(() => documents.next(), error =>
+        error.code === 'E_INVALID_LINE' && error.document === 2 && error.line === 3 &&
+        /\(document 2, line 3, column 1\)$/.test(error.message));
+});
+
+test('anchors do not cross documents', () => {
+    const [first, second] = parser.parseAll('a: &x 1\n---\nb: *x\n', { recover: true });
+    assert.deepStrictEqual(first, { value: { a: 1 }, errors: [] });
+    assert.deepStrictEqual(second.errors.map(error => [error.code, error.document, error.line]), [['E_UNKNOWN_ANCHOR', 2, 3]]);
+});
+
+test('parse rejects document separators', () => {
+    assert.throws(() => parser.parse('a: 1\n---\nb: 2\n'), error => error.code === 'E_MULTIPLE_DOCUMENTS' && error.line === 2);
+});
+
+test('stringifyAll starts every document with ---', () => {
+    assert.strictEqual(parser.stringifyAll([{ a: 1 }, [1, 2], 's']), '---\na: 1\n---\n[1, 2]\n---\n"s"');
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimpleParser } = require('../simpleParser');
+
+const parser = new SimpleParser();
+
+test('set creates missing containers and sets ranges', () => {
+    const obj = {};
+    SimpleParser.set(obj, 'a.b[0-1]', 5);
+    assert.deepStrictEqual(obj, { a: { b: [5, 5] } });
+});
+
+test('set and delete reject prototype segments', () => {
+    for (const path of ['__proto__.polluted', 'a.constructor.prototype.polluted', '["__proto__"]', 'a.prototype']) {
+        assert.throws(() => SimpleParser.set({ a: {} }, path, 1), /Unsafe path segment/);
+        assert.throws(() => SimpleParser.delete({ a: {} }, path), /Unsafe path segment/);
+    }
+    assert.strictEqual({}.polluted, undefined);
+});
+
+test('set does not descend into inherited properties', () => {
+    const obj = {};
+    SimpleParser.set(obj, 'toString.x', 1);
+    assert.deepStrictEqual(obj.toString, { x: 1 });
+    assert.strictEqual(typeof Object.prototype.toString, 'function');
+    assert.strictEqual(Object.prototype.toString.x, undefined);
+});
+
+test('SimpleDocument set and delete reject prototype segments', () => {
+    const doc = parser.parseDocument('a: 1\n');
+    assert.throws(() => doc.set('__proto__.polluted', 1), /Unsafe path segment/);
+    assert.throws(() => doc.delete('constructor'), /Unsafe path segment/);
+    assert.strictEqual(doc.toString(), 'a: 1\n');
+});
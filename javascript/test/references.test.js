@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimpleParser } = require('../simpleParser');
+
+const parser = new SimpleParser();
+
+test('aliases share the anchored value', () => {
+    const value = parser.parse('base: &b {}\n  host: x\nuse: *b\ninline: &i [1, 2]\nagain: *i\n');
+    assert.deepStrictEqual(value.use, { host: 'x' });
+    assert.strictEqual(value.use, value.base);
+    assert.strictEqual(value.again, value.inline);
+});
+
+test('shared values and cycles are written with anchors and restored', () => {
+    const shared = { h: 'x' };
+    const list = [1];
+    list.push(list);
+    const value = { a: shared, b: shared, l: list };
+    value.self = value;
+
+    const text = parser.stringify(value);
+    assert.strictEqual(text, '&ref1\na: &ref2 {h: x}\nb: *ref2\nl: &ref3 []\n  0: 1\n  1: *ref3\nself: *ref1');
+    const result = parser.parse(text);
+    assert.strictEqual(result.a, result.b);
+    assert.strictEqual(result.self, result);
+    assert.strictEqual(result.l[1], result.l);
+
+    const compact = parser.parse(parser.stringify({ a: shared, b: shared }, { compact: true }));
+    assert.strictEqual(compact.a, compact.b);
+});
+
+test('references: throw reports the path of the cycle', () => {
+    const value = { a: { b: {} } };
+    value.a.b.back = value.a;
+    assert.throws(() => parser.stringify(value, { references: 'throw' }), /a\.b\.back refers to a/);
+    // 不成环的共享值写为副本
+    const shared = { h: 1 };
+    assert.strictEqual(parser.stringify({ a: shared, b: shared }, { references: 'throw' }), 'a: {h: 1}\nb: {h: 1}');
+});
+
+test('unknown aliases are errors', () => {
+    assert.throws(() => parser.parse('a: *nope\n'), { code: 'E_UNKNOWN_ANCHOR', line: 1 });
+});
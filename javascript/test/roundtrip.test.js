@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimpleParser } = require('../simpleParser');
+
+const parser = new SimpleParser();
+
+function roundTrip(value, options) {
+    return parser.parse(parser.stringify(value, options), options);
+}
+
+test('objects round-trip in block form', () => {
+    const value = { name: 'sam', ids: [20, 21, 22, 31], test: [0, 0, 0, 0, 1, 1, 0], nested: { a: { b: null } } };
+    assert.deepStrictEqual(roundTrip(value), value);
+});
+
+test('top-level scalars and arrays round-trip', () => {
+    const values = ['str', '', 'a: b', 'line one\nline two', 42, -0, 1.5e300, null, true, false,
+        [1, 2], [{ a: 1 }, { b: [1, 2, 3, 4] }], []];
+    for (const value of values) {
+        assert.deepStrictEqual(roundTrip(value), value, JSON.stringify(value));
+    }
+    assert.ok(Number.isNaN(roundTrip(NaN)));
+});
+
+test('stringify writes non-object roots on a single line', () => {
+    assert.strictEqual(parser.stringify('str'), '"str"');
+    assert.strictEqual(parser.stringify([{ a: 1 }]), '[{a: 1}]');
+});
+
+test('trailing holes keep the array length', () => {
+    const value = [1, 2];
+    value.length = 5;
+    assert.strictEqual(parser.stringify({ value }), 'value: []\n  0: 1\n  1: 2\n  4: 0');
+    assert.deepStrictEqual(roundTrip({ value }), { value: [1, 2, 0, 0, 0] });
+    assert.strictEqual(parser.parse(parser.stringify({ value }, { holes: 'sparse' }), { holes: 'sparse' }).value.length, 5);
+});
+
+test('parseAll reads stringifyAll output with mixed roots', () => {
+    const docs = ['a', { x: 1 }, [1, 2]];
+    assert.deepStrictEqual(parser.parseAll(parser.stringifyAll(docs)), docs);
+});
+
+test('strings that look like @include lines are quoted', () => {
+    const value = { a: [{ b: 1 }, '@include x', '@include "y.simple"'], c: '@include z' };
+    for (const arrayFormat of ['indexed', 'values']) {
+        const text = parser.stringify(value, { arrayFormat });
+        assert.ok(!/^\s*@include/m.test(text), text);
+        assert.deepStrictEqual(parser.parse(text, { arrayFormat }), value);
+    }
+});
+
+test('${...} is literal text unless interpolate is set', () => {
+    assert.deepStrictEqual(parser.parse('cmd: echo ${HOME}\n'), { cmd: 'echo ${HOME}' });
+    assert.strictEqual(parser.stringify({ cmd: 'echo ${HOME}' }), 'cmd: "echo ${HOME}"');
+    assert.deepStrictEqual(parser.parse('a: 1\nb: ${a}\n', { interpolate: true }), { a: 1, b: 1 });
+
+    const value = { cmd: 'echo ${HOME}', escaped: '$${x}' };
+    assert.deepStrictEqual(roundTrip(value), value);
+    assert.deepStrictEqual(roundTrip(value, { interpolate: true }), value);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimpleParser } = require('../simpleParser');
+const { SimpleSchema } = require('../simpleSchema');
+
+const parser = new SimpleParser();
+
+const definition = { type: 'object', properties: { mode: { enum: ['dev', 'prod'], default: 'dev' } } };
+
+test('schema option accepts a SimpleSchema, a definition object or Simple text', () => {
+    const text = 'type: object\nproperties: {}\n    mode: {enum: [dev, prod], default: dev}\n';
+    for (const schema of [new SimpleSchema(definition), definition, text]) {
+        assert.deepStrictEqual(parser.parse('name: sam\n', { schema }), { name: 'sam', mode: 'dev' });
+        assert.throws(() => parser.parse('mode: test\n', { schema }), { name: 'SimpleValidationError' });
+    }
+});
+
+test('schema option rejects other values with a TypeError', () => {
+    assert.throws(() => parser.parse('a: 1\n', { schema: 42 }), TypeError);
+});
+
+test('defaults are copied and errors name the document path', () => {
+    const schema = new SimpleSchema({
+        type: 'object',
+        properties: {
+            tags: { type: 'array', default: ['a'] },
+            teacher: { type: 'object', properties: { ids: { type: 'array', items: { type: 'integer', min: 0 } } } }
+        }
+    });
+    const first = parser.parse('x: 1\n', { schema });
+    first.tags.push('b');
+    assert.deepStrictEqual(parser.parse('x: 1\n', { schema }).tags, ['a']);
+
+    const { errors } = parser.parse('teacher: {}\n  ids: []\n    0-1: 1\n    2: -5\n', { schema, recover: true });
+    assert.deepStrictEqual(errors.map(error => [error.path, error.line]), [['teacher.ids[2]', 4]]);
+});
+
+test('keys named like Object.prototype members are checked as ordinary keys', () => {
+    const schema = new SimpleSchema({ type: 'object', additionalProperties: false, required: ['toString'], properties: { a: { type: 'number' } } });
+    const { errors } = schema.validate(JSON.parse('{"constructor": 1, "__proto__": 2}'));
+    assert.deepStrictEqual(errors.map(error => error.message), [
+        'toString: is required',
+        'constructor: is not allowed',
+        '__proto__: is not allowed'
+    ]);
+
+    const defaults = SimpleSchema.parse('type: object\nproperties: {}\n    __proto__: {}\n        type: number\n        default: 1\n');
+    const { value } = defaults.validate({});
+    assert.deepStrictEqual(Object.keys(value), ['__proto__']);
+    assert.strictEqual(Object.getPrototypeOf(value), Object.prototype);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimpleParser } = require('../simpleParser');
+const { SimpleStreamParser, parseStream } = require('../simpleStream');
+
+const parser = new SimpleParser();
+const text = 'name: sam\nl: []\n  0: 1\n  3: 4\nm: 2\n';
+
+async function collect(chunks, options) {
+    const result = {};
+    for await (const [key, value] of parseStream(chunks, options)) {
+        result[key] = value;
+    }
+    return result;
+}
+
+test('parseStream agrees with parse for every holes policy', async () => {
+    for (const options of [{}, { holes: 'null' }, { holes: 'sparse' }, { holes: 'fill', holeValue: 7 }]) {
+        const chunks = [text.slice(0, 13), text.slice(13)];
+        assert.deepStrictEqual(await collect(chunks, options), parser.parse(text, options), JSON.stringify(options));
+    }
+});
+
+test('holes: throw reports missing indices from the stream', async () => {
+    await assert.rejects(collect([text], { holes: 'throw' }), { code: 'E_ARRAY_HOLE' });
+
+    const streamParser = new SimpleStreamParser({ holes: 'throw', recover: true });
+    streamParser.write(text);
+    streamParser.end();
+    assert.deepStrictEqual(streamParser.errors.map(error => error.code), ['E_ARRAY_HOLE']);
+    assert.throws(() => new SimpleStreamParser({ holes: 'none' }), /Invalid holes option/);
+});
+
+const documents = [
+    'name: "sam # not a comment"  // comment\nteacher: {}\n    student_ids: []\n        0-2: 20\n        -: 31\n    note: \'a, b\'\n',
+    '/* block\n   comment */ a: 1\nb: {}\n  /* x */ c: [1, 2]\n  d: {e: None}\n',
+    '/* x */  a: 1\nb: {}\n  c: 2\n',
+    'text: |\n  line one\n  line two\nafter: true\r\nwindows: "crlf"\r\n',
+    'unicode: "héllo wörld ✓"\nlist: []\n  -: 日本\n  -: 1e3\n'
+];
+
+test('stream entries equal parse for every chunk size', async () => {
+    for (const text of documents) {
+        const expected = parser.parse(text);
+        const buffer = Buffer.from(text);
+        for (const size of [1, 2, 3, 7, 64]) {
+            const chunks = [];
+            for (let i = 0; i < buffer.length; i += size) {
+                chunks.push(buffer.subarray(i, i + size));
+            }
+            assert.deepStrictEqual(await collect(chunks), expected, `${JSON.stringify(text)} in chunks of ${size}`);
+        }
+    }
+});
+
+test('values-format errors are collected in recover mode', () => {
+    const streamParser = new SimpleStreamParser({ arrayFormat: 'values', recover: true });
+    const entries = [];
+    streamParser.on('entry', (key, value) => entries.push([key, value]));
+    streamParser.end('a: []\n  1\n  !bad x\n  3\n');
+    assert.deepStrictEqual(entries, [['a', [1, 3]]]);
+    assert.deepStrictEqual(streamParser.errors.map(error => [error.code, error.line, error.column]), [['E_UNKNOWN_TAG', 3, 3]]);
+});
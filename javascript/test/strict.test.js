@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimpleParser } = require('../simpleParser');
+
+const parser = new SimpleParser();
+
+function strictErrors(text) {
+    return parser.parse(text, { strict: true, recover: true }).errors.map(error => [error.code, error.line, error.column]);
+}
+
+test('strict mode rejects indentation that is not a multiple of the unit', () => {
+    const { value, errors } = parser.parse('a: {}\n    b: 1\nc: {}\n  d: 1\n', { strict: true, recover: true });
+    assert.deepStrictEqual(value, { a: { b: 1 }, c: {} });
+    assert.deepStrictEqual(errors.map(error => [error.code, error.line, error.column, error.reason]), [
+        ['E_INDENT_WIDTH', 4, 3, 'Indentation of 2 spaces is not a multiple of 4']
+    ]);
+    assert.deepStrictEqual(strictErrors('a: {}\n    b: {}\n        c: 1\n  d: 1\n'), [['E_INDENT_WIDTH', 4, 3]]);
+});
+
+test('strict mode checks block indentation and indent characters', () => {
+    assert.deepStrictEqual(strictErrors('a: {}\n  b: 1\n    c: 2\n'), [['E_UNEXPECTED_INDENT', 3, 5]]);
+    assert.deepStrictEqual(strictErrors('a: {}\n    b: {}\n        c: 1\n      d: 1\n'), [['E_INDENT_WIDTH', 4, 7]]);
+    assert.deepStrictEqual(strictErrors('a: {}\n\tb: 1\n  c: 2\n'), [['E_MIXED_INDENT', 3, 3]]);
+});
+
+test('strict mode checks brackets, strings and comments', () => {
+    assert.deepStrictEqual(strictErrors('a: [1, 2\n'), [['E_UNBALANCED_BRACKET', 1, 4]]);
+    assert.deepStrictEqual(strictErrors('a: "x\n'), [['E_UNTERMINATED_STRING', 1, 4]]);
+    assert.deepStrictEqual(strictErrors('a: 1 /* x\n'), [['E_UNTERMINATED_COMMENT', 1, 6]]);
+});
+
+test('valid documents parse the same with and without strict mode', () => {
+    const text = 'a: {}\n    b: {}\n        c: [1, 2]\n    l: []\n        0-1: x\nd: "s" // c\n';
+    assert.deepStrictEqual(strictErrors(text), []);
+    assert.deepStrictEqual(parser.parse(text, { strict: true }), parser.parse(text));
+});
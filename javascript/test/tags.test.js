@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimpleParser } = require('../simpleParser');
+
+const parser = new SimpleParser();
+
+test('built-in tags round-trip Date, BigInt, RegExp, Map, Set and binary data', () => {
+    const value = {
+        date: new Date('2026-10-19T00:00:00Z'),
+        big: 12345678901234567890n,
+        pattern: /a+b/gi,
+        map: new Map([['k', 1], [2, 'x']]),
+        set: new Set([1, 'a']),
+        bytes: new Uint8Array([1, 2, 255])
+    };
+    const text = parser.stringify(value);
+    assert.match(text, /^date: !date 2026-10-19T00:00:00.000Z$/m);
+    assert.match(text, /^big: !bigint 12345678901234567890$/m);
+    assert.match(text, /^bytes: !binary AQL\/$/m);
+    assert.deepStrictEqual(parser.parse(text), value);
+    assert.deepStrictEqual(parser.parse(parser.stringify(value, { compact: true })), value);
+});
+
+test('registerTag adds a custom tag', () => {
+    class Point {
+        constructor(x, y) {
+            this.x = x;
+            this.y = y;
+        }
+    }
+    const custom = new SimpleParser().registerTag('point', {
+        test: value => value instanceof Point,
+        serialize: point => [point.x, point.y],
+        deserialize: ([x, y]) => new Point(Number(x), Number(y))
+    });
+    const text = custom.stringify({ origin: new Point(0, 1) });
+    assert.strictEqual(text, 'origin: !point [0, 1]');
+    assert.deepStrictEqual(custom.parse(text), { origin: new Point(0, 1) });
+    assert.throws(() => parser.parse(text), { code: 'E_UNKNOWN_TAG' });
+});
+
+test('undefined, functions and symbols are omitted like JSON.stringify', () => {
+    const value = { a: undefined, f() {}, s: Symbol('s'), k: 1, list: [1, undefined, () => 1], nested: { x: undefined } };
+    for (const options of [{}, { compact: true }, { arrayFormat: 'values' }]) {
+        assert.deepStrictEqual(parser.parse(parser.stringify(value, options), options), JSON.parse(JSON.stringify(value)));
+    }
+    assert.throws(() => parser.stringify(undefined), TypeError);
+    assert.throws(() => parser.stringify(() => 1), TypeError);
+});
+
+test('class instances without a tag are written as plain objects', () => {
+    class Settings {
+        constructor() {
+            this.debug = true;
+        }
+    }
+    assert.deepStrictEqual(parser.parse(parser.stringify({ settings: new Settings() })), { settings: { debug: true } });
+});
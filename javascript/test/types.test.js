@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateTypeScript, generateJSONSchema } = require('../simpleTypes');
+
+test('generateTypeScript marks keys missing from some samples as optional', () => {
+    assert.strictEqual(generateTypeScript(['a: 1\nb: x\n', 'a: 2\n']),
+        'export interface Config {\n    a: number;\n    b?: string;\n}\n');
+});
+
+test('circular aliases are typed as unknown', () => {
+    const text = 'a: &x {}\n  name: n\n  self: *x\nl: &y []\n  0: 1\n  1: *y\n';
+    const declaration = generateTypeScript([text]);
+    assert.match(declaration, /self: unknown;/);
+    assert.match(declaration, /l: \[number, unknown\];/);
+    assert.deepStrictEqual(generateJSONSchema([text]).properties.a.properties.self, {});
+});